@@ -0,0 +1,1359 @@
+const express = require('express');
+const cors = require('cors');
+const { ObjectId } = require('mongodb');
+const { ROLES, AuthError, authenticateUser, createSession, refreshSession, revokeSession, verifyAccessToken, ensureAuthIndexes } = require('./services/authService');
+const { UserError, listUsers, getUser, createUser, updateUser, deleteUser, resetPassword, changeOwnPassword, ensureUserIndexes } = require('./services/userService');
+const { AUDIT_ACTIONS, recordAudit, listAuditLog, ensureAuditIndexes } = require('./services/auditService');
+const { CheckoutError, toCents, fromCents, priceCart, assertExpectedTotal, toPreferenceItems } = require('./services/checkoutService');
+const { CouponConfigError, evaluateCoupon, orderDiscountSummary, redeemCoupon, releaseCouponRedemption, createCoupon, updateCoupon, ensureCouponIndexes } = require('./services/couponService');
+const { ShippingConfigError, normalizeState, validateCustomerDetails, quoteShippingOptions, resolveShipping, createShippingMethod, updateShippingMethod, ensureShippingIndexes } = require('./services/shippingService');
+const { OrderActionError, refundOrder, cancelOrder } = require('./services/refundService');
+const { OrderTransitionError, canTransition, initialStatusHistory, transitionOrder } = require('./services/orderLifecycle');
+const { LOOKUP_CODE_TTL_MINUTES, createOrderLookupToken, verifyOrderLookupToken, orderBelongsToEmail, toPublicOrder, requestLookupCode, verifyLookupCode, findOrdersByEmail, ensureOrderLookupIndexes } = require('./services/orderLookupService');
+const { enqueueEmail, enqueueOrderEmail, ensureEmailOutboxIndexes } = require('./services/emailService');
+const { resolveReferral, getReferralReport, createPayout, ensureReferralIndexes } = require('./services/referralService');
+const { OrderQueryError, buildOrdersQuery, paginate, ensureOrderIndexes } = require('./services/orderQueryService');
+const { parseDateRange } = require('./utils/queryParams');
+const { EXPORT_FORMATS, sendExport } = require('./utils/exporters');
+const { ReportError, runReport } = require('./services/reportService');
+const { PACKABLE_STATUSES, MAX_BATCH_SIZE, loadOrdersForSlips, renderPackingSlips } = require('./services/packingSlipService');
+const { CatalogError, listPublicCatalog, getPublicProduct, getCatalogStock, listAdminCatalog, createProduct, updateProduct, deleteProduct, ensureCatalogIndexes } = require('./services/catalogService');
+const { listLowStockProducts, ensureStockAlertIndexes } = require('./services/stockAlertService');
+const { MOVEMENT_TYPES, applyStockMovement, setStockLevel, restoreOrderStock, reconcileProductStock, ensureInventoryIndexes } = require('./services/inventoryService');
+const { verifyWebhookSignature, ensureWebhookEventIndexes, handlePaymentNotification, recordIgnoredNotification, replayWebhookEvent } = require('./services/paymentWebhookService');
+
+// Índices de todas las colecciones; se crean antes de aceptar tráfico
+async function ensureIndexes(db) {
+  await ensureOrderIndexes(db);
+  await ensureWebhookEventIndexes(db);
+  await ensureOrderLookupIndexes(db);
+  await ensureEmailOutboxIndexes(db);
+  await ensureReferralIndexes(db);
+  await ensureInventoryIndexes(db);
+  await ensureCatalogIndexes(db);
+  await ensureStockAlertIndexes(db);
+  await ensureShippingIndexes(db);
+  await ensureCouponIndexes(db);
+  await ensureAuthIndexes(db);
+  await ensureUserIndexes(db);
+  await ensureAuditIndexes(db);
+}
+
+// Crea la app de Express. Recibe la conexión a MongoDB ya abierta y los clientes de MercadoPago
+// ({ preference, payment, paymentRefund }), así las pruebas pueden inyectar una base en memoria y un doble de MP.
+// config: ver loadConfig en config.js. No escucha en ningún puerto; de eso se encarga server.js.
+function createApp({ db, mongoClient, mercadoPago, config }) {
+  const { preference, payment, paymentRefund } = mercadoPago;
+  const { backendUrl, frontendUrl, mpWebhookSecret, allowedOrigins, mpAutoReturn, auth: authConfig, orderExpiry, referrals, stockAlerts } = config;
+  const app = express();
+  // 'shuttingDown' lo activa server.js al recibir SIGTERM para que /ready deje de recibir tráfico
+  app.locals.shuttingDown = false;
+  if (config.trustProxy) app.set('trust proxy', config.trustProxy);
+
+  // --- Salud y disponibilidad (antes de CORS: los balanceadores no envían Origin) ---
+  // /health: el proceso está vivo. /ready: puede atender tráfico (MongoDB responde y no se está apagando).
+  app.get('/health', (req, res) => {
+    res.status(200).json({ status: 'ok' });
+  });
+
+  app.get('/ready', async (req, res) => {
+    if (app.locals.shuttingDown) return res.status(503).json({ status: 'shutting_down' });
+    try {
+      await db.command({ ping: 1 });
+      res.status(200).json({ status: 'ready' });
+    } catch (error) {
+      console.error("Verificación de disponibilidad fallida:", error.message || error);
+      res.status(503).json({ status: 'unavailable', message: 'Sin conexión a la base de datos' });
+    }
+  });
+
+  app.use(cors({
+    origin: function (origin, callback) {
+      if (!origin || allowedOrigins.indexOf(origin) !== -1) {
+        callback(null, true);
+      } else {
+        console.warn(`Origen no permitido por CORS: ${origin}`);
+        callback(new Error('Origen no permitido por CORS'));
+      }
+    },
+    credentials: true
+  }));
+  app.use(express.json());
+
+  app.post('/api/auth/dispatcher/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+      return res.status(400).json({ message: 'Usuario y contraseña requeridos' });
+    }
+    try {
+      const dispatcherUser = await authenticateUser(db, { username, password, ip: req.ip }, authConfig);
+      const tokens = await createSession(db, dispatcherUser, authConfig);
+      res.status(200).json({ message: 'Login exitoso', user: { username: dispatcherUser.username, role: dispatcherUser.role }, ...tokens });
+    } catch (error) {
+      if (error instanceof AuthError) return res.status(error.status).json({ message: error.message });
+      console.error("Error en login de despachador:", error);
+      res.status(500).json({ message: 'Error interno del servidor' });
+    }
+  });
+
+  app.post('/api/auth/dispatcher/refresh', async (req, res) => {
+    try {
+      const result = await refreshSession(db, req.body?.refreshToken, authConfig);
+      res.status(200).json({ message: 'Sesión renovada', ...result });
+    } catch (error) {
+      if (error instanceof AuthError) return res.status(error.status).json({ message: error.message });
+      console.error("Error renovando sesión de despachador:", error);
+      res.status(500).json({ message: 'Error interno del servidor' });
+    }
+  });
+
+  // --- Middleware de autenticación: exige un access token válido en "Authorization: Bearer <token>" ---
+  const ensureDispatcherAuthenticated = async (req, res, next) => {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) return res.status(401).json({ message: 'Token de acceso requerido' });
+    try {
+      req.user = await verifyAccessToken(db, token, authConfig);
+      next();
+    } catch (error) {
+      if (error instanceof AuthError) return res.status(error.status).json({ message: error.message });
+      console.error("Error verificando token de despachador:", error);
+      res.status(500).json({ message: 'Error interno del servidor' });
+    }
+  };
+
+  // Debe usarse después de ensureDispatcherAuthenticated
+  const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ message: 'No tienes permisos para realizar esta acción' });
+    }
+    next();
+  };
+
+  app.post('/api/auth/dispatcher/logout', ensureDispatcherAuthenticated, async (req, res) => {
+    try {
+      await revokeSession(db, req.user.sessionId);
+      res.status(200).json({ message: 'Sesión cerrada' });
+    } catch (error) {
+      console.error("Error cerrando sesión de despachador:", error);
+      res.status(500).json({ message: 'Error interno del servidor' });
+    }
+  });
+
+  // Registra una acción privilegiada en audit_log. Si la bitácora falla la acción ya quedó hecha,
+  // así que solo se reporta el error.
+  const audit = async (req, action, target, details = null) => {
+    try {
+      await recordAudit(db, { actor: req.user.username, action, target, details, ip: req.ip });
+    } catch (error) {
+      console.error(`Error registrando '${action}' en la bitácora:`, error);
+    }
+  };
+
+  // --- Administración de usuarios del back office (solo admin) ---
+  const sendUserError = (res, error, fallbackMessage) => {
+    if (error instanceof UserError) {
+      return res.status(error.status).json({ message: error.message, ...(error.details && { details: error.details }) });
+    }
+    console.error(fallbackMessage, error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  };
+
+  // Cualquier usuario del back office puede cambiar su propia contraseña; sus otras sesiones se cierran
+  app.put('/api/auth/dispatcher/password', ensureDispatcherAuthenticated, async (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    try {
+      await changeOwnPassword(db, req.user.username, { currentPassword, newPassword, sessionId: req.user.sessionId });
+      await audit(req, AUDIT_ACTIONS.USER_PASSWORD_CHANGED, { type: 'user', id: req.user.username });
+      res.status(200).json({ message: 'Contraseña actualizada' });
+    } catch (error) {
+      sendUserError(res, error, `Error cambiando contraseña de ${req.user.username}:`);
+    }
+  });
+
+  app.get('/api/admin/users', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+      const users = await listUsers(db, req.query);
+      res.status(200).json({ users });
+    } catch (error) {
+      sendUserError(res, error, 'Error listando usuarios:');
+    }
+  });
+
+  app.get('/api/admin/users/:username', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+      const user = await getUser(db, req.params.username);
+      res.status(200).json({ user });
+    } catch (error) {
+      sendUserError(res, error, `Error obteniendo usuario ${req.params.username}:`);
+    }
+  });
+
+  app.post('/api/admin/users', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+      const user = await createUser(db, { body: req.body, actor: req.user.username });
+      await audit(req, AUDIT_ACTIONS.USER_CREATED, { type: 'user', id: user.username }, { role: user.role, employeeId: user.employeeId });
+      res.status(201).json({ message: 'Usuario creado', user });
+    } catch (error) {
+      sendUserError(res, error, 'Error creando usuario:');
+    }
+  });
+
+  // Para dar de baja a alguien se desactiva su cuenta ({ active: false }); sus sesiones se cierran al momento
+  app.put('/api/admin/users/:username', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+      const { user, previous, changes } = await updateUser(db, req.params.username, { body: req.body, actor: req.user.username });
+      const before = Object.fromEntries(Object.keys(changes).map(field => [field, previous[field] ?? null]));
+      await audit(req, AUDIT_ACTIONS.USER_UPDATED, { type: 'user', id: user.username }, { before, after: changes });
+      res.status(200).json({ message: 'Usuario actualizado', user });
+    } catch (error) {
+      sendUserError(res, error, `Error actualizando usuario ${req.params.username}:`);
+    }
+  });
+
+  app.delete('/api/admin/users/:username', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+      const user = await deleteUser(db, req.params.username, { actor: req.user.username });
+      await audit(req, AUDIT_ACTIONS.USER_DELETED, { type: 'user', id: user.username }, { role: user.role });
+      res.status(200).json({ message: 'Usuario eliminado' });
+    } catch (error) {
+      sendUserError(res, error, `Error eliminando usuario ${req.params.username}:`);
+    }
+  });
+
+  app.post('/api/admin/users/:username/reset-password', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+      const user = await resetPassword(db, req.params.username, { newPassword: req.body?.newPassword, actor: req.user.username });
+      await audit(req, AUDIT_ACTIONS.USER_PASSWORD_RESET, { type: 'user', id: user.username });
+      res.status(200).json({ message: 'Contraseña restablecida; las sesiones del usuario se cerraron' });
+    } catch (error) {
+      sendUserError(res, error, `Error restableciendo contraseña de ${req.params.username}:`);
+    }
+  });
+
+  // ?actor=&action=&targetType=&targetId=&from=&to=&limit=
+  app.get('/api/admin/audit-log', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+    const { range, error } = parseDateRange(req.query);
+    if (error) return res.status(400).json({ message: error });
+    const { actor, action, targetType, targetId, limit } = req.query;
+    try {
+      const entries = await listAuditLog(db, { actor, action, targetType, targetId, limit, ...range });
+      res.status(200).json({ entries });
+    } catch (error) {
+      console.error("Error obteniendo la bitácora de auditoría:", error);
+      res.status(500).json({ message: 'Error interno del servidor' });
+    }
+  });
+
+  const getOrdersWithEmployeeData = async (statusCriteria, sortCriteria, { limit } = {}) => {
+    const ordersCollection = db.collection('orders');
+    const aggregationPipeline = [
+      { $match: statusCriteria },
+      // Ordenar y limitar antes del $lookup para que use índices y solo una la página pedida
+      ...(Object.keys(sortCriteria).length > 0 ? [{ $sort: sortCriteria }] : []),
+      ...(limit ? [{ $limit: limit }] : []),
+      { $lookup: { from: "employees", localField: "referralCode", foreignField: "referralCode", as: "referredByEmployeeInfo" } },
+      { $unwind: { path: "$referredByEmployeeInfo", preserveNullAndEmptyArrays: true } },
+      { $project: { customerDetails: 1, items: 1, subtotalAmount: 1, discountAmount: 1, discount: 1, totalAmount: 1, status: 1, paymentDetails: 1, shippingDetails: 1, createdAt: 1, updatedAt: 1, shippedAt: 1, refunds: 1, refundedAmount: 1, cancellation: 1, statusHistory: 1, referralCode: 1, referredByEmployeeName: "$referredByEmployeeInfo.name" } }
+    ];
+    return await ordersCollection.aggregate(aggregationPipeline).toArray();
+  };
+
+  // --- Listado de órdenes con filtros, búsqueda y paginación por cursor ---
+  // ?status=paid,preparing&from=2025-01-01&to=2025-01-31&employeeId=&referralCode=&productId=&q=&sort=createdAt&order=desc&limit=25&cursor=
+  app.get('/api/dispatcher/orders', ensureDispatcherAuthenticated, requireRole(ROLES.DISPATCHER, ROLES.ADMIN), async (req, res) => {
+    try {
+      const query = await buildOrdersQuery(db, req.query);
+      const orders = await getOrdersWithEmployeeData(query.match, query.sort, { limit: query.limit + 1 });
+      res.status(200).json(paginate(orders, query));
+    } catch (error) {
+      if (error instanceof OrderQueryError) return res.status(error.status).json({ message: error.message });
+      console.error("Error obteniendo listado de órdenes:", error);
+      res.status(500).json({ message: 'Error interno del servidor al obtener órdenes' });
+    }
+  });
+
+  app.get('/api/dispatcher/orders/pending', ensureDispatcherAuthenticated, requireRole(ROLES.DISPATCHER, ROLES.ADMIN), async (req, res) => {
+    try {
+      const pendingOrders = await getOrdersWithEmployeeData({ status: { $in: ['paid', 'preparing'] } }, { createdAt: -1 });
+      res.status(200).json(pendingOrders);
+    } catch (error) {
+      console.error("Error obteniendo órdenes pendientes:", error);
+      res.status(500).json({ message: 'Error interno del servidor al obtener órdenes pendientes' });
+    }
+  });
+
+  app.get('/api/dispatcher/orders/shipped', ensureDispatcherAuthenticated, requireRole(ROLES.DISPATCHER, ROLES.ADMIN), async (req, res) => {
+    try {
+      const shippedOrders = await getOrdersWithEmployeeData({ status: 'shipped' }, { shippedAt: -1 });
+      res.status(200).json(shippedOrders);
+    } catch (error) {
+      console.error("Error obteniendo órdenes despachadas:", error);
+      res.status(500).json({ message: 'Error interno del servidor al obtener órdenes despachadas' });
+    }
+  });
+
+  // Carga la orden, verifica que la transición sea válida y la aplica registrando al despachador en statusHistory
+  const transitionOrderFromBackOffice = async (req, res, toStatus, { reason, details, set, successMessage, afterTransition, auditAction = AUDIT_ACTIONS.ORDER_STATUS_CHANGED }) => {
+    const { orderId } = req.params;
+    if (!ObjectId.isValid(orderId)) return res.status(400).json({ message: 'ID de orden inválido' });
+    try {
+      const ordersCollection = db.collection('orders');
+      const orderObjectId = new ObjectId(orderId);
+      const order = await ordersCollection.findOne({ _id: orderObjectId });
+      if (!order) return res.status(404).json({ message: 'Orden no encontrada' });
+      if (!canTransition(order.status, toStatus)) {
+        return res.status(400).json({ message: `La orden está en estado '${order.status}' y no puede pasar a '${toStatus}'.` });
+      }
+      const transitionDetails = typeof details === 'function' ? details(order) : details;
+      const changed = await transitionOrder(db, order, toStatus, {
+        actor: req.user.username,
+        reason,
+        details: transitionDetails,
+        set: typeof set === 'function' ? set(order) : set
+      });
+      if (!changed) return res.status(409).json({ message: `La orden cambió de estado mientras se procesaba. Intenta de nuevo.` });
+      await audit(req, auditAction, { type: 'order', id: orderId }, { from: order.status, to: toStatus, reason: reason || null, ...transitionDetails });
+      if (afterTransition) {
+        // Efectos secundarios (p. ej. notificaciones): si fallan, el cambio de estado ya quedó hecho
+        try {
+          await afterTransition(order);
+        } catch (sideEffectError) {
+          console.error(`Error después de cambiar orden ${orderId} a '${toStatus}':`, sideEffectError);
+        }
+      }
+      const updatedOrderData = await getOrdersWithEmployeeData({ _id: orderObjectId }, {});
+      res.status(200).json({ message: successMessage, order: updatedOrderData[0] || null });
+    } catch (error) {
+      console.error(`Error al cambiar orden ${orderId} a '${toStatus}':`, error);
+      res.status(500).json({ message: 'Error interno del servidor' });
+    }
+  };
+
+  app.put('/api/dispatcher/order/:orderId/prepare', ensureDispatcherAuthenticated, requireRole(ROLES.DISPATCHER, ROLES.ADMIN), async (req, res) => {
+    await transitionOrderFromBackOffice(req, res, 'preparing', {
+      reason: req.body?.reason || null,
+      successMessage: 'Orden marcada en preparación'
+    });
+  });
+
+  // Guía y paquetería del despacho. Si no se indica paquetería se usa la del método de envío elegido en el checkout.
+  const dispatchFields = (order, { trackingNumber, carrier }) => ({
+    trackingNumber: (typeof trackingNumber === 'string' && trackingNumber.trim()) || null,
+    carrier: (typeof carrier === 'string' && carrier.trim()) || order.shippingDetails?.carrier || null
+  });
+  const dispatchSet = ({ trackingNumber, carrier }) => ({
+    shippedAt: new Date(),
+    'shippingDetails.trackingNumber': trackingNumber,
+    'shippingDetails.carrier': carrier
+  });
+
+  app.put('/api/dispatcher/order/:orderId/dispatch', ensureDispatcherAuthenticated, requireRole(ROLES.DISPATCHER, ROLES.ADMIN), async (req, res) => {
+    const fieldsFor = (order) => dispatchFields(order, req.body || {});
+    await transitionOrderFromBackOffice(req, res, 'shipped', {
+      reason: req.body?.reason || null,
+      details: fieldsFor,
+      set: (order) => dispatchSet(fieldsFor(order)),
+      successMessage: 'Orden marcada como despachada',
+      auditAction: AUDIT_ACTIONS.ORDER_DISPATCHED,
+      afterTransition: (order) => enqueueOrderEmail(db, order, 'order_shipped', fieldsFor(order))
+    });
+  });
+
+  // Despacho en lote: { orders: [{ orderId, trackingNumber, carrier? }], reason? }.
+  // Cada orden se procesa por separado; la respuesta indica el resultado de cada una.
+  app.post('/api/dispatcher/orders/dispatch', ensureDispatcherAuthenticated, requireRole(ROLES.DISPATCHER, ROLES.ADMIN), async (req, res) => {
+    const entries = req.body?.orders;
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return res.status(400).json({ message: 'Se requiere un array orders con { orderId, trackingNumber }' });
+    }
+    if (entries.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({ message: `Máximo ${MAX_BATCH_SIZE} órdenes por lote` });
+    }
+    const ordersCollection = db.collection('orders');
+    const results = [];
+    for (const entry of entries) {
+      const orderId = entry?.orderId;
+      if (!ObjectId.isValid(orderId)) {
+        results.push({ orderId: orderId ?? null, dispatched: false, message: 'ID de orden inválido' });
+        continue;
+      }
+      try {
+        const order = await ordersCollection.findOne({ _id: new ObjectId(orderId) });
+        if (!order) {
+          results.push({ orderId, dispatched: false, message: 'Orden no encontrada' });
+          continue;
+        }
+        if (!canTransition(order.status, 'shipped')) {
+          results.push({ orderId, dispatched: false, message: `La orden está en estado '${order.status}' y no puede pasar a 'shipped'.` });
+          continue;
+        }
+        const fields = dispatchFields(order, entry);
+        const reason = req.body?.reason || 'Despacho en lote';
+        const changed = await transitionOrder(db, order, 'shipped', {
+          actor: req.user.username,
+          reason,
+          details: fields,
+          set: dispatchSet(fields)
+        });
+        if (!changed) {
+          results.push({ orderId, dispatched: false, message: 'La orden cambió de estado mientras se procesaba.' });
+          continue;
+        }
+        await audit(req, AUDIT_ACTIONS.ORDER_DISPATCHED, { type: 'order', id: orderId }, { from: order.status, to: 'shipped', reason, batch: true, ...fields });
+        try {
+          await enqueueOrderEmail(db, order, 'order_shipped', fields);
+        } catch (sideEffectError) {
+          console.error(`Error encolando aviso de envío de la orden ${orderId}:`, sideEffectError);
+        }
+        results.push({ orderId, dispatched: true, ...fields });
+      } catch (error) {
+        console.error(`Error al despachar orden ${orderId} en lote:`, error);
+        results.push({ orderId, dispatched: false, message: 'Error interno al despachar la orden' });
+      }
+    }
+    const dispatchedCount = results.filter(result => result.dispatched).length;
+    res.status(200).json({ message: `${dispatchedCount} de ${results.length} órdenes despachadas`, dispatched: dispatchedCount, failed: results.length - dispatchedCount, results });
+  });
+
+  // --- Listas de empaque en PDF ---
+  const sendPackingSlipsPdf = async (res, orders, filename) => {
+    const pdf = await renderPackingSlips(orders);
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="${filename}.pdf"`);
+    res.status(200).send(pdf);
+  };
+
+  app.get('/api/dispatcher/order/:orderId/packing-slip', ensureDispatcherAuthenticated, requireRole(ROLES.DISPATCHER, ROLES.ADMIN), async (req, res) => {
+    const { orderId } = req.params;
+    if (!ObjectId.isValid(orderId)) return res.status(400).json({ message: 'ID de orden inválido' });
+    try {
+      const [order] = await loadOrdersForSlips(db, [new ObjectId(orderId)]);
+      if (!order) return res.status(404).json({ message: 'Orden no encontrada' });
+      await sendPackingSlipsPdf(res, [order], `empaque-${orderId}`);
+    } catch (error) {
+      console.error(`Error generando lista de empaque de la orden ${orderId}:`, error);
+      res.status(500).json({ message: 'Error interno al generar la lista de empaque' });
+    }
+  });
+
+  // Lote: { orderIds: [...] } con órdenes pendientes de envío; sin orderIds, todas las pendientes (las más antiguas primero)
+  app.post('/api/dispatcher/orders/packing-slips', ensureDispatcherAuthenticated, requireRole(ROLES.DISPATCHER, ROLES.ADMIN), async (req, res) => {
+    const { orderIds } = req.body || {};
+    if (orderIds !== undefined && (!Array.isArray(orderIds) || orderIds.length === 0 || !orderIds.every(id => ObjectId.isValid(id)))) {
+      return res.status(400).json({ message: 'orderIds debe ser un array de IDs de orden válidos' });
+    }
+    if (orderIds && orderIds.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({ message: `Máximo ${MAX_BATCH_SIZE} órdenes por lote` });
+    }
+    try {
+      let ids;
+      if (orderIds) {
+        ids = [...new Set(orderIds.map(String))].map(id => new ObjectId(id));
+      } else {
+        const pending = await db.collection('orders')
+          .find({ status: { $in: PACKABLE_STATUSES } }, { projection: { _id: 1 } })
+          .sort({ createdAt: 1 })
+          .limit(MAX_BATCH_SIZE)
+          .toArray();
+        ids = pending.map(order => order._id);
+      }
+      const orders = await loadOrdersForSlips(db, ids);
+      const notPending = orders.filter(order => !PACKABLE_STATUSES.includes(order.status));
+      const missing = ids.filter(id => !orders.some(order => order._id.equals(id)));
+      if (notPending.length > 0 || missing.length > 0) {
+        return res.status(409).json({
+          message: 'Algunas órdenes no existen o no están pendientes de envío',
+          notPending: notPending.map(order => ({ orderId: order._id.toString(), status: order.status })),
+          notFound: missing.map(id => id.toString())
+        });
+      }
+      if (orders.length === 0) return res.status(404).json({ message: 'No hay órdenes pendientes de envío' });
+      await sendPackingSlipsPdf(res, orders, `empaque-lote-${new Date().toISOString().slice(0, 10)}`);
+    } catch (error) {
+      console.error('Error generando listas de empaque en lote:', error);
+      res.status(500).json({ message: 'Error interno al generar las listas de empaque' });
+    }
+  });
+
+  app.put('/api/dispatcher/order/:orderId/unship', ensureDispatcherAuthenticated, requireRole(ROLES.DISPATCHER, ROLES.ADMIN), async (req, res) => {
+    // El despacho anterior (fecha y guía) queda guardado en statusHistory
+    await transitionOrderFromBackOffice(req, res, 'paid', {
+      reason: req.body?.reason || 'Despacho revertido',
+      details: (order) => ({ shippedAt: order.shippedAt || null, trackingNumber: order.shippingDetails?.trackingNumber || null, carrier: order.shippingDetails?.carrier || null }),
+      set: { shippedAt: null, 'shippingDetails.trackingNumber': null },
+      successMessage: 'Despacho de orden revertido',
+      auditAction: AUDIT_ACTIONS.ORDER_UNSHIPPED
+    });
+  });
+
+  app.put('/api/dispatcher/order/:orderId/deliver', ensureDispatcherAuthenticated, requireRole(ROLES.DISPATCHER, ROLES.ADMIN), async (req, res) => {
+    await transitionOrderFromBackOffice(req, res, 'delivered', {
+      reason: req.body?.reason || null,
+      set: { deliveredAt: new Date() },
+      successMessage: 'Orden marcada como entregada'
+    });
+  });
+
+  app.get('/api/dispatcher/order/:orderId/history', ensureDispatcherAuthenticated, requireRole(ROLES.DISPATCHER, ROLES.ADMIN), async (req, res) => {
+    const { orderId } = req.params;
+    if (!ObjectId.isValid(orderId)) return res.status(400).json({ message: 'ID de orden inválido' });
+    try {
+      const order = await db.collection('orders').findOne({ _id: new ObjectId(orderId) }, { projection: { status: 1, statusHistory: 1 } });
+      if (!order) return res.status(404).json({ message: 'Orden no encontrada' });
+      res.status(200).json({ orderId, status: order.status, statusHistory: order.statusHistory || [] });
+    } catch (error) {
+      console.error(`Error obteniendo historial de orden ${orderId}:`, error);
+      res.status(500).json({ message: 'Error interno del servidor' });
+    }
+  });
+
+  // --- Cancelaciones y reembolsos desde el back office (solo admin) ---
+  app.post('/api/dispatcher/order/:orderId/cancel', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+    const { orderId } = req.params;
+    const { reason, restock } = req.body || {};
+    if (!ObjectId.isValid(orderId)) return res.status(400).json({ message: 'ID de orden inválido' });
+    try {
+      const orderObjectId = new ObjectId(orderId);
+      const { refund } = await cancelOrder({
+        db, mongoClient, payment, paymentRefund,
+        orderId: orderObjectId, actor: req.user.username, reason, restock: restock !== false, stockAlerts
+      });
+      await audit(req, AUDIT_ACTIONS.ORDER_CANCELLED, { type: 'order', id: orderId }, { reason: reason || null, restock: restock !== false, refundId: refund?.refundId ?? null, refundAmount: refund?.amount ?? null });
+      const updatedOrderData = await getOrdersWithEmployeeData({ _id: orderObjectId }, {});
+      res.status(200).json({ message: 'Orden cancelada', refund, order: updatedOrderData[0] || null });
+    } catch (error) {
+      if (error instanceof OrderActionError || error instanceof OrderTransitionError) return res.status(error.status).json({ message: error.message });
+      console.error(`Error al cancelar orden ${orderId}:`, error);
+      res.status(500).json({ message: 'Error interno del servidor al cancelar la orden' });
+    }
+  });
+
+  app.post('/api/dispatcher/order/:orderId/refund', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+    const { orderId } = req.params;
+    const { amount, restockItems, reason } = req.body || {};
+    if (!ObjectId.isValid(orderId)) return res.status(400).json({ message: 'ID de orden inválido' });
+    try {
+      const orderObjectId = new ObjectId(orderId);
+      const { refund, fullRefund } = await refundOrder({
+        db, mongoClient, paymentRefund,
+        orderId: orderObjectId, actor: req.user.username, amount, restockItems, reason, stockAlerts
+      });
+      await audit(req, AUDIT_ACTIONS.ORDER_REFUNDED, { type: 'order', id: orderId }, { refundId: refund?.refundId ?? null, amount: refund?.amount ?? null, fullRefund, reason: reason || null, restockItems: restockItems || null });
+      const updatedOrderData = await getOrdersWithEmployeeData({ _id: orderObjectId }, {});
+      res.status(201).json({ message: fullRefund ? 'Orden reembolsada por completo' : 'Reembolso parcial registrado', refund, order: updatedOrderData[0] || null });
+    } catch (error) {
+      if (error instanceof OrderActionError || error instanceof OrderTransitionError) return res.status(error.status).json({ message: error.message });
+      console.error(`Error al reembolsar orden ${orderId}:`, error);
+      res.status(500).json({ message: 'Error interno del servidor al reembolsar la orden' });
+    }
+  });
+
+  // --- Consulta de órdenes para clientes ---
+  // Acceso con el token firmado que se entrega en el checkout (?token= o cabecera x-order-token) o con el email de la orden
+  app.get('/api/orders/:orderId', async (req, res) => {
+    const { orderId } = req.params;
+    const token = req.query.token || req.get('x-order-token');
+    const { email } = req.query;
+    if (!ObjectId.isValid(orderId)) return res.status(400).json({ message: 'ID de orden inválido' });
+    if (!token && !email) return res.status(400).json({ message: 'Se requiere el token de la orden o el email de compra' });
+    try {
+      const order = await db.collection('orders').findOne({ _id: new ObjectId(orderId) });
+      const authorized = order && (token ? verifyOrderLookupToken(token, orderId, authConfig) : orderBelongsToEmail(order, email));
+      // Misma respuesta si la orden no existe o los datos no coinciden, para no revelar órdenes ajenas
+      if (!authorized) return res.status(404).json({ message: 'Orden no encontrada' });
+      res.status(200).json(toPublicOrder(order));
+    } catch (error) {
+      console.error(`Error consultando orden ${orderId} para cliente:`, error);
+      res.status(500).json({ message: 'Error interno del servidor' });
+    }
+  });
+
+  app.post('/api/orders/lookup/request-code', async (req, res) => {
+    const { email } = req.body || {};
+    if (!email || typeof email !== 'string') return res.status(400).json({ message: 'Email requerido' });
+    try {
+      const code = await requestLookupCode(db, email);
+      if (code) {
+        await enqueueEmail(db, { template: 'order_lookup_code', to: email.trim(), data: { code, ttlMinutes: LOOKUP_CODE_TTL_MINUTES } });
+      }
+      res.status(200).json({ message: 'Si existen órdenes con ese email, enviaremos un código de verificación.' });
+    } catch (error) {
+      console.error("Error generando código de consulta de órdenes:", error);
+      res.status(500).json({ message: 'Error interno del servidor' });
+    }
+  });
+
+  app.post('/api/orders/lookup/verify', async (req, res) => {
+    const { email, code } = req.body || {};
+    if (!email || !code) return res.status(400).json({ message: 'Email y código requeridos' });
+    try {
+      const valid = await verifyLookupCode(db, email, String(code));
+      if (!valid) return res.status(401).json({ message: 'Código inválido o expirado' });
+      const orders = await findOrdersByEmail(db, email, authConfig);
+      res.status(200).json({ orders });
+    } catch (error) {
+      console.error("Error verificando código de consulta de órdenes:", error);
+      res.status(500).json({ message: 'Error interno del servidor' });
+    }
+  });
+
+  // --- Programa de referidos: reportes y liquidación de comisiones ---
+  app.get('/api/admin/referrals/report', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+    const { employeeId, period } = req.query;
+    const { range, error } = parseDateRange(req.query);
+    if (error) return res.status(400).json({ message: error });
+    if (employeeId && !ObjectId.isValid(employeeId)) return res.status(400).json({ message: 'ID de empleado inválido' });
+    if (period && !['day', 'week', 'month'].includes(period)) return res.status(400).json({ message: 'period debe ser day, week o month' });
+    try {
+      const report = await getReferralReport(db, { ...range, employeeId: employeeId ? new ObjectId(employeeId) : null, period });
+      res.status(200).json(report);
+    } catch (error) {
+      console.error("Error generando reporte de referidos:", error);
+      res.status(500).json({ message: 'Error interno del servidor al generar el reporte' });
+    }
+  });
+
+  app.post('/api/admin/referrals/payouts', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+    const { employeeId, periodEnd, notes } = req.body || {};
+    if (!employeeId || !ObjectId.isValid(employeeId)) return res.status(400).json({ message: 'ID de empleado inválido' });
+    const periodEndDate = periodEnd ? new Date(periodEnd) : new Date();
+    if (Number.isNaN(periodEndDate.getTime())) return res.status(400).json({ message: 'Fecha periodEnd inválida' });
+    try {
+      const payout = await createPayout(db, mongoClient, { employeeId: new ObjectId(employeeId), periodEnd: periodEndDate, actor: req.user.username, notes });
+      if (!payout) return res.status(404).json({ message: 'No hay comisiones pendientes de pago para ese empleado y periodo' });
+      await audit(req, AUDIT_ACTIONS.PAYOUT_CREATED, { type: 'employee', id: employeeId }, { payoutId: payout._id, amount: payout.amount, periodEnd: periodEndDate });
+      res.status(201).json({ message: 'Comisiones marcadas como pagadas', payout });
+    } catch (error) {
+      console.error(`Error liquidando comisiones del empleado ${employeeId}:`, error);
+      res.status(500).json({ message: 'Error interno del servidor al liquidar comisiones' });
+    }
+  });
+
+  app.get('/api/admin/referrals/payouts', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+    const { employeeId } = req.query;
+    if (employeeId && !ObjectId.isValid(employeeId)) return res.status(400).json({ message: 'ID de empleado inválido' });
+    try {
+      const payouts = await db.collection('commission_payouts')
+        .find(employeeId ? { employeeId: new ObjectId(employeeId) } : {})
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .toArray();
+      res.status(200).json(payouts);
+    } catch (error) {
+      console.error("Error obteniendo liquidaciones de comisiones:", error);
+      res.status(500).json({ message: 'Error interno del servidor' });
+    }
+  });
+
+  // Los empleados inician sesión con una cuenta de 'dispatchers' con rol 'employee' y su employeeId
+  app.get('/api/employee/me/referrals', ensureDispatcherAuthenticated, requireRole(ROLES.EMPLOYEE), async (req, res) => {
+    const { period } = req.query;
+    const { range, error } = parseDateRange(req.query);
+    if (error) return res.status(400).json({ message: error });
+    if (period && !['day', 'week', 'month'].includes(period)) return res.status(400).json({ message: 'period debe ser day, week o month' });
+    try {
+      const user = await db.collection('dispatchers').findOne({ username: req.user.username }, { projection: { employeeId: 1 } });
+      if (!user?.employeeId) return res.status(403).json({ message: 'Tu cuenta no está vinculada a un empleado' });
+      const employee = await db.collection('employees').findOne({ _id: user.employeeId }, { projection: { name: 1, referralCode: 1 } });
+      const summary = await getReferralReport(db, { ...range, employeeId: user.employeeId, period });
+      const commissionFilter = { employeeId: user.employeeId };
+      if (range.from || range.to) commissionFilter.createdAt = { ...(range.from && { $gte: range.from }), ...(range.to && { $lt: range.to }) };
+      const recentCommissions = await db.collection('commissions')
+        .find(commissionFilter, { projection: { orderId: 1, type: 1, baseAmount: 1, amount: 1, payoutId: 1, paidOutAt: 1, createdAt: 1 } })
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .toArray();
+      res.status(200).json({ employee, summary, recentCommissions });
+    } catch (error) {
+      console.error(`Error obteniendo estadísticas de referidos de ${req.user.username}:`, error);
+      res.status(500).json({ message: 'Error interno del servidor' });
+    }
+  });
+
+  // --- Reportes de ventas y manifiesto de envío ---
+  // ?from=&to= filtran por fecha (el manifiesto, por fecha de despacho); ?format=csv|xlsx descarga el reporte
+  const sendReport = async (req, res, name) => {
+    const format = req.query.format || 'json';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Formato inválido. Opciones: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const { range, error } = parseDateRange(req.query);
+    if (error) return res.status(400).json({ message: error });
+    try {
+      const filters = { ...range, period: req.query.period, employeeId: req.query.employeeId };
+      const { title, columns, rows } = await runReport(db, name, filters);
+      const rangeSuffix = [req.query.from, req.query.to].filter(Boolean).join('_a_');
+      await sendExport(res, {
+        format,
+        filename: `${name}${rangeSuffix ? `_${rangeSuffix}` : ''}`.replace(/[^\w.-]/g, '-'),
+        sheetName: title,
+        columns,
+        rows,
+        meta: { report: name, title, from: range.from || null, to: range.to || null, period: req.query.period || null }
+      });
+    } catch (error) {
+      if (error instanceof ReportError) return res.status(error.status).json({ message: error.message });
+      console.error(`Error generando reporte ${name}:`, error);
+      res.status(500).json({ message: 'Error interno al generar el reporte' });
+    }
+  };
+
+  app.get('/api/dispatcher/reports/shipping-manifest', ensureDispatcherAuthenticated, requireRole(ROLES.DISPATCHER, ROLES.ADMIN), async (req, res) => {
+    await sendReport(req, res, 'shipping-manifest');
+  });
+
+  // revenue | products | average-order-value | payment-failures | employees | shipping-manifest
+  app.get('/api/admin/reports/:report', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+    await sendReport(req, res, req.params.report);
+  });
+
+  // --- Catálogo público: productos activos con su stock actual ---
+  app.get('/api/products', async (req, res) => {
+      try {
+          const products = await listPublicCatalog(db, req.query);
+          res.status(200).json({ products });
+      } catch (error) {
+          console.error('Error obteniendo catálogo:', error);
+          res.status(500).json({ message: 'Error interno al obtener el catálogo' });
+      }
+  });
+
+  app.get('/api/products/:productId', async (req, res) => {
+      try {
+          const product = await getPublicProduct(db, req.params.productId);
+          if (!product) return res.status(404).json({ message: 'Producto no encontrado' });
+          res.status(200).json(product);
+      } catch (error) {
+          console.error(`Error obteniendo producto ${req.params.productId}:`, error);
+          res.status(500).json({ message: 'Error interno al obtener el producto' });
+      }
+  });
+
+  // --- Endpoint para obtener stock de productos ---
+  // Se sirve del catálogo: productos inexistentes o inactivos cuentan con stock 0. Sin productIds devuelve todo el catálogo activo.
+  app.post('/api/products/stock', async (req, res) => {
+      const { productIds } = req.body || {};
+
+      if (productIds !== undefined && !Array.isArray(productIds)) {
+          return res.status(400).json({ message: 'Se requiere un array de productIds en el cuerpo' });
+      }
+      if (Array.isArray(productIds) && productIds.length === 0) {
+          return res.status(200).json({});
+      }
+
+      try {
+          const stockMap = await getCatalogStock(db, productIds ? productIds.map(String) : null);
+          res.status(200).json(stockMap);
+      } catch (error) {
+          console.error("Error obteniendo stock de productos:", error);
+          res.status(500).json({ message: 'Error interno al obtener stock' });
+      }
+  });
+
+  // --- Administración del catálogo ---
+  const sendCatalogError = (res, error, fallbackMessage) => {
+      if (error instanceof CatalogError) {
+          return res.status(error.status).json({ message: error.message, ...(error.details && { details: error.details }) });
+      }
+      console.error(fallbackMessage, error);
+      res.status(500).json({ message: 'Error interno del servidor' });
+  };
+
+  app.get('/api/admin/products', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+      try {
+          const products = await listAdminCatalog(db, req.query);
+          res.status(200).json({ products });
+      } catch (error) {
+          sendCatalogError(res, error, 'Error listando catálogo (admin):');
+      }
+  });
+
+  app.post('/api/admin/products', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+      try {
+          const product = await createProduct(db, mongoClient, { body: req.body, actor: req.user.username, stockAlerts });
+          await audit(req, AUDIT_ACTIONS.PRODUCT_CREATED, { type: 'product', id: product.productId }, { body: req.body });
+          res.status(201).json({ message: 'Producto creado', product });
+      } catch (error) {
+          sendCatalogError(res, error, 'Error creando producto:');
+      }
+  });
+
+  app.put('/api/admin/products/:productId', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+      try {
+          const product = await updateProduct(db, req.params.productId, { body: req.body, actor: req.user.username });
+          await audit(req, AUDIT_ACTIONS.PRODUCT_UPDATED, { type: 'product', id: req.params.productId }, { changes: req.body });
+          res.status(200).json({ message: 'Producto actualizado', product });
+      } catch (error) {
+          sendCatalogError(res, error, `Error actualizando producto ${req.params.productId}:`);
+      }
+  });
+
+  app.delete('/api/admin/products/:productId', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+      try {
+          await deleteProduct(db, req.params.productId);
+          await audit(req, AUDIT_ACTIONS.PRODUCT_DELETED, { type: 'product', id: req.params.productId });
+          res.status(200).json({ message: 'Producto eliminado' });
+      } catch (error) {
+          sendCatalogError(res, error, `Error eliminando producto ${req.params.productId}:`);
+      }
+  });
+
+  // --- Endpoint para que el Despachador actualice el stock ---
+  // Acepta un valor absoluto ({ newStock, reason }, p. ej. tras un conteo físico) o un ajuste relativo
+  // ({ adjustment, reason, type: 'restock' | 'manual_adjustment' }). Todo cambio queda en 'inventory_movements'.
+  app.put('/api/dispatcher/product/:productId/stock', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+      const { productId } = req.params; // Este es el ID de tus constantes (ej. "vitafer-l-500ml")
+      const body = req.body || {};
+      const { newStock, adjustment, type } = body;
+      const reason = typeof body.reason === 'string' && body.reason.trim() ? body.reason.trim() : null;
+
+      if (!productId || typeof productId !== 'string') {
+          return res.status(400).json({ message: 'ID de producto inválido o requerido' });
+      }
+      const isAdjustment = adjustment !== undefined;
+      if (isAdjustment === (newStock !== undefined)) {
+          return res.status(400).json({ message: 'Envía newStock (valor absoluto) o adjustment (ajuste relativo), no ambos.' });
+      }
+      if (isAdjustment) {
+          if (typeof adjustment !== 'number' || !Number.isInteger(adjustment) || adjustment === 0) {
+              return res.status(400).json({ message: 'El ajuste debe ser un número entero distinto de cero.' });
+          }
+          if (!reason) {
+              return res.status(400).json({ message: 'Se requiere un motivo (reason) para ajustar el stock.' });
+          }
+          if (type !== undefined && ![MOVEMENT_TYPES.RESTOCK, MOVEMENT_TYPES.MANUAL_ADJUSTMENT].includes(type)) {
+              return res.status(400).json({ message: `Tipo de movimiento inválido. Opciones: ${MOVEMENT_TYPES.RESTOCK}, ${MOVEMENT_TYPES.MANUAL_ADJUSTMENT}` });
+          }
+          if (type === MOVEMENT_TYPES.RESTOCK && adjustment < 0) {
+              return res.status(400).json({ message: 'Un reabastecimiento debe sumar unidades.' });
+          }
+      } else if (typeof newStock !== 'number' || newStock < 0 || !Number.isInteger(newStock)) {
+          return res.status(400).json({ message: 'La cantidad de stock debe ser un número entero no negativo.' });
+      }
+
+      const session = mongoClient.startSession();
+      try {
+          let movement = null;
+          await session.withTransaction(async (currentSession) => {
+              movement = isAdjustment
+                  ? await applyStockMovement(db, {
+                      productId,
+                      delta: adjustment,
+                      type: type || (adjustment > 0 ? MOVEMENT_TYPES.RESTOCK : MOVEMENT_TYPES.MANUAL_ADJUSTMENT),
+                      actor: req.user.username,
+                      reason,
+                      stockAlerts,
+                      session: currentSession
+                  })
+                  : await setStockLevel(db, { productId, newStock, actor: req.user.username, reason, stockAlerts, session: currentSession });
+              if (movement) {
+                  // En la misma transacción: no hay cambio de stock sin su registro en la bitácora
+                  await recordAudit(db, {
+                      actor: req.user.username,
+                      action: AUDIT_ACTIONS.STOCK_CHANGED,
+                      target: { type: 'product', id: productId },
+                      details: { type: movement.type, quantity: movement.quantity, stockBefore: movement.stockBefore, stockAfter: movement.stockAfter, reason },
+                      ip: req.ip
+                  }, { session: currentSession });
+              }
+          });
+          if (!movement) {
+              const product = await db.collection('products').findOne({ productId }, { projection: { stock: 1 } });
+              return product
+                  ? res.status(409).json({ message: `El ajuste dejaría el stock en negativo. Stock actual: ${product.stock}.` })
+                  : res.status(404).json({ message: 'Producto no encontrado en inventario.' });
+          }
+          const updatedProductStock = await db.collection('products').findOne({ productId });
+          res.status(200).json({ message: 'Stock actualizado exitosamente', product: updatedProductStock, movement });
+      } catch (error) {
+          console.error(`Error al actualizar stock para producto ${productId}:`, error);
+          res.status(500).json({ message: 'Error interno del servidor al actualizar stock' });
+      } finally {
+          await session.endSession();
+      }
+  });
+
+  // --- Productos en o por debajo de su umbral de stock bajo, con su velocidad de ventas ---
+  app.get('/api/dispatcher/products/low-stock', ensureDispatcherAuthenticated, requireRole(ROLES.DISPATCHER, ROLES.ADMIN), async (req, res) => {
+      const days = req.query.days === undefined ? undefined : parseInt(req.query.days, 10);
+      if (days !== undefined && (!Number.isInteger(days) || days < 1 || days > 365)) {
+          return res.status(400).json({ message: 'El parámetro days debe ser un entero entre 1 y 365' });
+      }
+      try {
+          const products = await listLowStockProducts(db, { defaultThreshold: stockAlerts.defaultThreshold, days });
+          res.status(200).json({ products });
+      } catch (error) {
+          console.error('Error obteniendo productos con stock bajo:', error);
+          res.status(500).json({ message: 'Error interno del servidor' });
+      }
+  });
+
+  // --- Bitácora de inventario de un producto ---
+  app.get('/api/dispatcher/product/:productId/movements', ensureDispatcherAuthenticated, requireRole(ROLES.DISPATCHER, ROLES.ADMIN), async (req, res) => {
+      const { productId } = req.params;
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+      const { range, error } = parseDateRange(req.query);
+      if (error) return res.status(400).json({ message: error });
+
+      const filter = { productId };
+      if (range.from || range.to) {
+          filter.createdAt = { ...(range.from && { $gte: range.from }), ...(range.to && { $lt: range.to }) };
+      }
+      if (req.query.type) filter.type = String(req.query.type);
+      try {
+          const movements = await db.collection('inventory_movements')
+              .find(filter)
+              .sort({ createdAt: -1, _id: -1 })
+              .limit(limit)
+              .toArray();
+          res.status(200).json({ productId, movements });
+      } catch (error) {
+          console.error(`Error obteniendo movimientos de inventario para ${productId}:`, error);
+          res.status(500).json({ message: 'Error interno del servidor' });
+      }
+  });
+
+  // --- Conciliación del stock actual contra la bitácora ---
+  app.get('/api/dispatcher/product/:productId/reconcile', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+      try {
+          const reconciliation = await reconcileProductStock(db, req.params.productId);
+          if (!reconciliation) return res.status(404).json({ message: 'Producto no encontrado en inventario.' });
+          // Sin movimientos no hay bitácora contra la cual comparar: el producto no tiene diferencias, solo falta su historial
+          const untracked = reconciliation.movementCount === 0;
+          res.status(200).json({
+              ...reconciliation,
+              untracked,
+              consistent: untracked || (reconciliation.difference === 0 && reconciliation.chainBreaks.length === 0)
+          });
+      } catch (error) {
+          console.error(`Error conciliando stock de ${req.params.productId}:`, error);
+          res.status(500).json({ message: 'Error interno del servidor' });
+      }
+  });
+
+  // --- Cotización de envío: opciones disponibles para el carrito y el destino ---
+  // Body: { items: [{ id, quantity }], address: { state, postalCode } }
+  app.post('/api/shipping/quote', async (req, res) => {
+      const { items, address } = req.body || {};
+      const state = normalizeState(address?.state);
+      const postalCode = address?.postalCode !== undefined && address?.postalCode !== null ? String(address.postalCode).trim() : '';
+      if (!state || !/^\d{5}$/.test(postalCode)) {
+          return res.status(400).json({ message: 'Se requiere un estado válido y un código postal de 5 dígitos', errorType: 'INVALID_ADDRESS' });
+      }
+      try {
+          const pricedCart = await priceCart(db, { items });
+          const options = await quoteShippingOptions(db, pricedCart, { state, postalCode });
+          res.status(200).json({ subtotal: pricedCart.totalAmount, address: { state, postalCode }, options });
+      } catch (error) {
+          if (error instanceof CheckoutError) {
+              return res.status(error.status).json({ message: error.message, errorType: error.errorType, details: error.details });
+          }
+          console.error('Error cotizando envío:', error);
+          res.status(500).json({ message: 'Error interno al cotizar el envío' });
+      }
+  });
+
+  // --- Validación de cupón para el carrito ---
+  // Body: { code, items: [{ id, quantity }], customerEmail? }. Con customerEmail también revisa el límite por cliente.
+  app.post('/api/coupons/validate', async (req, res) => {
+      const { code, items, customerEmail } = req.body || {};
+      try {
+          const pricedCart = await priceCart(db, { items });
+          const { coupon, discountAmount, items: discountedItems } = await evaluateCoupon(db, code, pricedCart, { customerEmail });
+          res.status(200).json({
+              valid: true,
+              code: coupon.code,
+              description: coupon.description || null,
+              type: coupon.type,
+              value: coupon.value,
+              subtotal: pricedCart.totalAmount,
+              discountAmount,
+              subtotalAfterDiscount: fromCents(toCents(pricedCart.totalAmount) - toCents(discountAmount)),
+              items: discountedItems.map(({ productId, quantity, totalItemPrice, discountAmount: lineDiscount }) => ({ productId, quantity, totalItemPrice, discountAmount: lineDiscount }))
+          });
+      } catch (error) {
+          if (error instanceof CheckoutError) {
+              return res.status(error.status).json({ valid: false, message: error.message, errorType: error.errorType, details: error.details });
+          }
+          console.error('Error validando cupón:', error);
+          res.status(500).json({ message: 'Error interno al validar el cupón' });
+      }
+  });
+
+  // --- Administración de cupones ---
+  const sendCouponConfigError = (res, error, fallbackMessage) => {
+      if (error instanceof CouponConfigError) {
+          return res.status(error.status).json({ message: error.message, ...(error.details && { details: error.details }) });
+      }
+      console.error(fallbackMessage, error);
+      res.status(500).json({ message: 'Error interno del servidor' });
+  };
+
+  app.get('/api/admin/coupons', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+      try {
+          const filter = {};
+          if (req.query.active === 'true') filter.active = true;
+          if (req.query.active === 'false') filter.active = false;
+          const coupons = await db.collection('coupons').find(filter).sort({ createdAt: -1 }).toArray();
+          res.status(200).json({ coupons });
+      } catch (error) {
+          sendCouponConfigError(res, error, 'Error listando cupones:');
+      }
+  });
+
+  app.post('/api/admin/coupons', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+      try {
+          const coupon = await createCoupon(db, { body: req.body, actor: req.user.username });
+          await audit(req, AUDIT_ACTIONS.COUPON_CREATED, { type: 'coupon', id: coupon.code }, { body: req.body });
+          res.status(201).json({ message: 'Cupón creado', coupon });
+      } catch (error) {
+          sendCouponConfigError(res, error, 'Error creando cupón:');
+      }
+  });
+
+  // Para retirar un cupón se desactiva (active: false); sus canjes quedan en coupon_redemptions
+  app.put('/api/admin/coupons/:code', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+      try {
+          const coupon = await updateCoupon(db, req.params.code, { body: req.body, actor: req.user.username });
+          await audit(req, AUDIT_ACTIONS.COUPON_UPDATED, { type: 'coupon', id: coupon.code }, { changes: req.body });
+          res.status(200).json({ message: 'Cupón actualizado', coupon });
+      } catch (error) {
+          sendCouponConfigError(res, error, `Error actualizando cupón ${req.params.code}:`);
+      }
+  });
+
+  app.get('/api/admin/coupons/:code/redemptions', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+      try {
+          const redemptions = await db.collection('coupon_redemptions')
+              .find({ code: String(req.params.code).trim().toUpperCase() })
+              .sort({ createdAt: -1 })
+              .limit(Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500))
+              .toArray();
+          res.status(200).json({ redemptions });
+      } catch (error) {
+          sendCouponConfigError(res, error, `Error listando canjes del cupón ${req.params.code}:`);
+      }
+  });
+
+  // --- Administración de métodos de envío ---
+  const sendShippingConfigError = (res, error, fallbackMessage) => {
+      if (error instanceof ShippingConfigError) {
+          return res.status(error.status).json({ message: error.message, ...(error.details && { details: error.details }) });
+      }
+      console.error(fallbackMessage, error);
+      res.status(500).json({ message: 'Error interno del servidor' });
+  };
+
+  app.get('/api/admin/shipping-methods', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+      try {
+          const methods = await db.collection('shipping_methods').find({}).sort({ name: 1 }).toArray();
+          res.status(200).json({ methods });
+      } catch (error) {
+          sendShippingConfigError(res, error, 'Error listando métodos de envío:');
+      }
+  });
+
+  app.post('/api/admin/shipping-methods', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+      try {
+          const method = await createShippingMethod(db, { body: req.body, actor: req.user.username });
+          await audit(req, AUDIT_ACTIONS.SHIPPING_METHOD_CREATED, { type: 'shipping_method', id: method.methodId }, { body: req.body });
+          res.status(201).json({ message: 'Método de envío creado', method });
+      } catch (error) {
+          sendShippingConfigError(res, error, 'Error creando método de envío:');
+      }
+  });
+
+  // Para retirar un método se desactiva (active: false); las órdenes guardan su propia copia del envío
+  app.put('/api/admin/shipping-methods/:methodId', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+      try {
+          const method = await updateShippingMethod(db, req.params.methodId, { body: req.body, actor: req.user.username });
+          await audit(req, AUDIT_ACTIONS.SHIPPING_METHOD_UPDATED, { type: 'shipping_method', id: method.methodId }, { changes: req.body });
+          res.status(200).json({ message: 'Método de envío actualizado', method });
+      } catch (error) {
+          sendShippingConfigError(res, error, `Error actualizando método de envío ${req.params.methodId}:`);
+      }
+  });
+
+  // --- Endpoint de Crear Preferencia MODIFICADO para usar la nueva colección de stock ---
+  app.post('/api/create-preference', async (req, res) => {
+    const orderData = req.body; // items deben tener 'id' (tu productId de constantes) y 'quantity' deseada; precios y nombres salen de 'products'
+    const currentFrontendUrl = req.get('origin');
+
+    if (!orderData || !orderData.customerDetails || !orderData.items || orderData.items.length === 0) {
+        return res.status(400).json({ message: 'Datos de la orden inválidos o incompletos' });
+    }
+
+    const ordersCollection = db.collection('orders');
+    const session = mongoClient.startSession(); // Inicia una sesión para transacciones
+
+    // El _id se genera antes para que los movimientos de inventario referencien la orden
+    const createdOrderId = new ObjectId();
+    let pricedCart;
+    let orderItems;
+    let shipping;
+    let referralEmployee = null;
+    let transactionCommitted = false;
+
+    try {
+      // 0. Validar y normalizar contacto y domicilio de entrega
+      const customerDetails = validateCustomerDetails(orderData.customerDetails);
+
+      await session.withTransaction(async (currentSession) => {
+        // 1. Recalcular precios con la colección 'products', aplicar el cupón, cotizar el envío elegido y verificar stock para todos los items
+        pricedCart = await priceCart(db, orderData, { session: currentSession });
+        orderItems = pricedCart.items;
+        let couponEvaluation = null;
+        if (orderData.couponCode) {
+          couponEvaluation = await evaluateCoupon(db, orderData.couponCode, pricedCart, { customerEmail: customerDetails.email, session: currentSession });
+          orderItems = couponEvaluation.items;
+        }
+        const discountAmount = couponEvaluation?.discountAmount || 0;
+        const discountedSubtotal = fromCents(toCents(pricedCart.totalAmount) - toCents(discountAmount));
+        // El envío gratis se calcula sobre el subtotal ya con descuento
+        shipping = await resolveShipping(db, { ...pricedCart, totalAmount: discountedSubtotal }, customerDetails.address, orderData.shippingMethodId, { session: currentSession });
+        const totalAmount = fromCents(toCents(discountedSubtotal) + toCents(shipping.cost));
+        if (totalAmount <= 0) throw new CheckoutError('El total de la orden debe ser mayor a cero.', 'INVALID_TOTAL');
+        assertExpectedTotal(orderData, totalAmount);
+        referralEmployee = null;
+        if (orderData.referralCode) {
+          referralEmployee = await resolveReferral(db, orderData.referralCode, { session: currentSession });
+          if (!referralEmployee) {
+            if (referrals.invalidReferralPolicy === 'reject') {
+              throw new CheckoutError('El código de referido no es válido.', 'INVALID_REFERRAL_CODE', [{ referralCode: orderData.referralCode }]);
+            }
+            console.warn(`Código de referido inválido ignorado: "${orderData.referralCode}".`);
+          }
+        }
+        for (const item of pricedCart.items) {
+          const productInInventory = pricedCart.products.get(item.productId);
+          if (productInInventory.stock < item.quantity) {
+            throw new Error(`Stock insuficiente para "${item.name}". Disponible: ${productInInventory.stock || 0}, Solicitado: ${item.quantity}.`);
+          }
+        }
+
+        // 2. Si hay stock, descontar de la colección 'products' (queda registrado en la bitácora de inventario)
+        for (const item of pricedCart.items) {
+          const movement = await applyStockMovement(db, {
+            productId: item.productId,
+            delta: -item.quantity,
+            type: MOVEMENT_TYPES.SALE_RESERVATION,
+            orderId: createdOrderId,
+            actor: 'checkout',
+            stockAlerts,
+            session: currentSession
+          });
+          if (!movement) { // El stock cambió o no fue suficiente
+              throw new Error(`No se pudo actualizar el stock para "${item.name}". Pudo agotarse o hubo un conflicto. Intenta de nuevo.`);
+          }
+          console.log(`Stock descontado para ${item.productId}: ${item.quantity} unidades.`);
+        }
+
+        // 3. Canjear el cupón en la misma transacción: si algo falla, el uso no cuenta
+        if (couponEvaluation) {
+          await redeemCoupon(db, { coupon: couponEvaluation.coupon, orderId: createdOrderId, customerEmail: customerDetails.email, discountAmount, session: currentSession });
+        }
+
+        // 4. Crear la orden en la colección 'orders' con los precios calculados en el servidor
+        const newOrder = {
+            _id: createdOrderId,
+            customerDetails,
+            items: orderItems,
+            subtotalAmount: pricedCart.totalAmount,
+            discountAmount,
+            discount: couponEvaluation ? orderDiscountSummary(couponEvaluation.coupon, discountAmount) : null,
+            totalAmount,
+            status: 'pending_payment', // Se crea como 'pending_payment' ya que el stock se descontó
+            statusHistory: initialStatusHistory('checkout'),
+            paymentDetails: { method: 'mercadopago', mercadoPagoPreferenceId: null, mercadoPagoPaymentId: null, paymentStatus: 'pending', paidAt: null },
+            shippingDetails: {
+                methodId: shipping.methodId,
+                method: shipping.name,
+                carrier: shipping.carrier,
+                zone: shipping.zone,
+                estimatedDays: shipping.estimatedDays,
+                cost: shipping.cost,
+                freeShipping: shipping.freeShipping,
+                trackingNumber: null
+            },
+            createdAt: new Date(),
+            updatedAt: new Date(),
+            referralCode: referralEmployee?.referralCode || null,
+            referralEmployeeId: referralEmployee?._id || null
+        };
+
+        await ordersCollection.insertOne(newOrder, { session: currentSession });
+        console.log(`Orden ${createdOrderId} creada (Referido: ${newOrder.referralCode || 'Ninguno'}) con estado 'pending_payment'.`);
+      }); // Fin de session.withTransaction
+      transactionCommitted = true;
+
+      // Si la transacción de MongoDB fue exitosa procedemos a crear la preferencia de MercadoPago
+      const effectiveFrontendUrl = allowedOrigins.includes(currentFrontendUrl) ? currentFrontendUrl : allowedOrigins[0];
+      const preferenceItems = toPreferenceItems(orderItems); // Precios con el descuento del cupón ya aplicado
+      // El envío va como una línea más para que MercadoPago cobre el mismo total que la orden
+      if (shipping.cost > 0) {
+          preferenceItems.push({
+              id: `shipping-${shipping.methodId}`,
+              title: `Envío: ${shipping.name}`.substring(0, 250),
+              description: (shipping.carrier || shipping.name).substring(0, 250),
+              quantity: 1,
+              unit_price: shipping.cost,
+              currency_id: 'MXN',
+          });
+      }
+
+      const lookupToken = createOrderLookupToken(createdOrderId, authConfig);
+      const backUrlParams = `order_id=${createdOrderId.toString()}&token=${lookupToken}`;
+      const preferenceData = {
+         body: {
+           items: preferenceItems,
+           payer: {
+             name: customerDetails.name,
+             email: customerDetails.email,
+             phone: { number: customerDetails.phone },
+             address: { zip_code: customerDetails.address.postalCode, street_name: customerDetails.address.street, street_number: customerDetails.address.exteriorNumber },
+           },
+           back_urls: { success: `${effectiveFrontendUrl}/payment-success?${backUrlParams}`, failure: `${effectiveFrontendUrl}/payment-failure?${backUrlParams}`, pending: `${effectiveFrontendUrl}/payment-pending?${backUrlParams}`, },
+           notification_url: `${backendUrl}/api/mercadopago-webhook?source_news=webhooks&orderId=${createdOrderId.toString()}`,
+           external_reference: createdOrderId.toString(),
+           // La preferencia deja de aceptar pagos cuando vence la reserva de stock
+           expires: true,
+           expiration_date_to: new Date(Date.now() + orderExpiry.reservationTtlMinutes * 60 * 1000).toISOString(),
+         }
+      };
+      if (mpAutoReturn) { preferenceData.body.auto_return = 'approved'; }
+
+      const mpPreference = await preference.create(preferenceData);
+      console.log(`Preferencia MP ${mpPreference.id} creada para orden ${createdOrderId}`);
+
+      await ordersCollection.updateOne( // Actualiza la orden con el preferenceId de MP
+          { _id: createdOrderId },
+          { $set: { 'paymentDetails.mercadoPagoPreferenceId': mpPreference.id, updatedAt: new Date() } }
+      );
+      res.status(201).json({ mercadoPagoUrl: mpPreference.init_point, orderId: createdOrderId.toString(), lookupToken });
+
+    } catch (error) { // Captura errores de la transacción de MongoDB o de la creación de preferencia MP
+      console.error('Error en /api/create-preference:', error.message || error);
+
+      // Si la transacción abortó, MongoDB ya deshizo el descuento de stock. Si el error fue DESPUÉS
+      // (al crear la preferencia de MP o al guardar su id), la orden se cancela y su stock se devuelve
+      // en una sola transacción; la transición de estado evita que el barrido de expiración lo repita.
+      if (transactionCommitted) {
+          console.warn(`Error DESPUÉS de crear la orden ${createdOrderId}. Cancelándola y revirtiendo descuento de stock...`);
+          try {
+              await session.withTransaction(async (currentSession) => {
+                  const order = await ordersCollection.findOne({ _id: createdOrderId }, { session: currentSession });
+                  if (!order) return;
+                  const cancelled = await transitionOrder(db, order, 'cancelled', {
+                      actor: 'checkout',
+                      reason: 'No se pudo crear la preferencia de pago',
+                      set: { cancelledAt: new Date() },
+                      session: currentSession
+                  });
+                  if (cancelled) {
+                      await restoreOrderStock(db, order, { session: currentSession, actor: 'checkout', reason: 'Fallo al crear preferencia de pago', stockAlerts });
+                      await releaseCouponRedemption(db, order, { reason: 'Fallo al crear preferencia de pago', session: currentSession });
+                  }
+              });
+          } catch (revertError) {
+              console.error(`FALLO CRÍTICO (ROLLBACK): No se pudo cancelar la orden ${createdOrderId} ni revertir su stock. Revisar manualmente. Error:`, revertError);
+          }
+      }
+      if (error instanceof CheckoutError) {
+          return res.status(error.status).json({ message: error.message, errorType: error.errorType, details: error.details });
+      }
+      res.status(error.message.includes("Stock insuficiente") || error.message.includes("No se pudo actualizar el stock") ? 400 : 500)
+         .json({ message: error.message || 'Error interno del servidor al crear la preferencia', errorType: error.message.includes("Stock") ? 'STOCK_ERROR' : 'SERVER_ERROR' });
+    } finally {
+      await session.endSession(); // Siempre cierra la sesión de MongoDB
+    }
+  });
+
+  // --- Webhook de MercadoPago: verifica la firma, registra el evento y lo procesa una sola vez ---
+  app.post('/api/mercadopago-webhook', async (req, res) => {
+    console.log("Webhook recibido:", req.query); console.log("Webhook body:", req.body);
+    const { query, body } = req;
+    const topic = query.topic || query.type || body?.type;
+    const paymentId = (query['data.id'] || body?.data?.id)?.toString();
+    const requestId = req.get('x-request-id');
+
+    const signatureValid = verifyWebhookSignature({
+      signatureHeader: req.get('x-signature'),
+      requestId,
+      dataId: query['data.id'] || body?.data?.id,
+      secret: mpWebhookSecret
+    });
+    if (!signatureValid) {
+      console.warn(`Webhook rechazado: firma inválida (x-request-id: ${requestId}).`);
+      return res.status(401).json({ message: 'Firma inválida' });
+    }
+
+    const notification = { requestId: requestId || null, action: body?.action || null, query, body };
+    try {
+      if (topic !== 'payment' || !paymentId) {
+        console.log(`Webhook ignorado: Tópico no manejado '${topic}' o falta paymentId.`);
+        await recordIgnoredNotification(db, { topic, reason: paymentId ? 'topic_not_handled' : 'missing_payment_id', notification });
+        return res.sendStatus(200);
+      }
+      console.log(`Webhook: Notificación de pago recibida. Payment ID: ${paymentId}.`);
+      const result = await handlePaymentNotification({ db, mongoClient, payment, paymentId, notification, frontendUrl, stockAlerts, referrals });
+      // Un 500 hace que MercadoPago reintente la notificación; el evento ya quedó registrado como fallido
+      res.sendStatus(result.status === 'failed' ? 500 : 200);
+    } catch (error) {
+      console.error(`Error registrando webhook para pago ${paymentId}:`, error);
+      res.sendStatus(500);
+    }
+  });
+
+  // --- Eventos de webhook para el despachador/admin ---
+  app.get('/api/dispatcher/webhook-events', ensureDispatcherAuthenticated, requireRole(ROLES.DISPATCHER, ROLES.ADMIN), async (req, res) => {
+    const { status, paymentId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const filter = {};
+    if (status) filter.status = status;
+    if (paymentId) filter.paymentId = paymentId;
+    try {
+      const events = await db.collection('webhook_events')
+        .find(filter, { projection: { body: 0, query: 0 } })
+        .sort({ receivedAt: -1 })
+        .limit(limit)
+        .toArray();
+      res.status(200).json(events);
+    } catch (error) {
+      console.error("Error obteniendo eventos de webhook:", error);
+      res.status(500).json({ message: 'Error interno del servidor al obtener eventos de webhook' });
+    }
+  });
+
+  app.post('/api/dispatcher/webhook-events/:eventId/replay', ensureDispatcherAuthenticated, requireRole(ROLES.ADMIN), async (req, res) => {
+    const { eventId } = req.params;
+    if (!ObjectId.isValid(eventId)) return res.status(400).json({ message: 'ID de evento inválido' });
+    try {
+      const result = await replayWebhookEvent({ db, mongoClient, payment, eventId: new ObjectId(eventId), actor: req.user.username, frontendUrl, stockAlerts, referrals });
+      if (!result) return res.status(409).json({ message: 'El evento no existe o no está en estado "failed"' });
+      await audit(req, AUDIT_ACTIONS.WEBHOOK_REPLAYED, { type: 'webhook_event', id: eventId }, { status: result.status });
+      const event = await db.collection('webhook_events').findOne({ _id: new ObjectId(eventId) }, { projection: { body: 0, query: 0 } });
+      // 'duplicate': el pago cambió y su estado actual ya se había procesado con otro evento
+      const messages = { processed: 'Evento reprocesado', duplicate: 'El estado actual del pago ya estaba procesado', failed: 'El reproceso del evento falló' };
+      res.status(result.status === 'failed' ? 502 : 200).json({
+        message: messages[result.status],
+        event,
+        ...(result.supersededEventId && { processedEventId: result.eventId || null })
+      });
+    } catch (error) {
+      console.error(`Error reprocesando evento de webhook ${eventId}:`, error);
+      res.status(500).json({ message: 'Error interno del servidor' });
+    }
+  });
+
+  app.use((err, req, res, next) => {
+      console.error("Error no manejado:", err.stack);
+      res.status(500).json({ message: 'Error interno del servidor' });
+  });
+
+  return app;
+}
+
+module.exports = {
+  createApp,
+  ensureIndexes
+};
@@ -0,0 +1,103 @@
+// --- Configuración del servidor a partir de variables de entorno ---
+
+const REQUIRED_ENV = ['MONGO_URI', 'MERCADOPAGO_ACCESS_TOKEN', 'FRONTEND_URL', 'BACKEND_URL', 'JWT_SECRET', 'MERCADOPAGO_WEBHOOK_SECRET'];
+
+const DEFAULT_DB_NAME = 'vitafer';
+const DEFAULT_ALLOWED_ORIGINS = [
+  'https://vitafermex.com',
+  'https://www.vitafermex.com',
+  'http://localhost:5173' // Desarrollo local
+];
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+// CORS_ALLOWED_ORIGINS=https://a.com,https://b.com. El primero es el que se usa en las back_urls de
+// MercadoPago cuando la petición llega de un origen desconocido.
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Detrás de un proxy (TRUST_PROXY=1, el número de saltos) req.ip es la IP del cliente; sin esto el
+// límite de intentos de login por IP contaría a todos los clientes como uno solo
+const parseTrustProxy = (value) => {
+  if (!value) return false;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+// Variables numéricas opcionales: sin valor se usa el default; con un valor inválido se detiene el
+// arranque en lugar de caer en silencio al default
+function parseNumber(env, name, defaultValue, { integer = false, min = -Infinity, max = Infinity } = {}) {
+  const raw = env[name];
+  if (raw === undefined || raw === '') return defaultValue;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+    throw new ConfigError(`Valor inválido en ${name}: '${raw}'`);
+  }
+  return value;
+}
+
+function parseChoice(env, name, choices, defaultValue) {
+  const raw = env[name];
+  if (raw === undefined || raw === '') return defaultValue;
+  if (!choices.includes(raw)) throw new ConfigError(`Valor inválido en ${name}: '${raw}' (opciones: ${choices.join(', ')})`);
+  return raw;
+}
+
+function loadConfig(env = process.env) {
+  const missing = REQUIRED_ENV.filter(name => !env[name]);
+  if (missing.length > 0) throw new ConfigError(`Faltan variables de entorno esenciales: ${missing.join(', ')}`);
+  const allowedOrigins = parseList(env.CORS_ALLOWED_ORIGINS);
+  return {
+    port: parseInt(env.PORT, 10) || 3000,
+    mongoUri: env.MONGO_URI,
+    dbName: env.MONGO_DB_NAME || DEFAULT_DB_NAME,
+    mpAccessToken: env.MERCADOPAGO_ACCESS_TOKEN,
+    mpWebhookSecret: env.MERCADOPAGO_WEBHOOK_SECRET, // Clave secreta de la sección Webhooks en el panel de MercadoPago
+    mpAutoReturn: env.AUTO_RETURN_MP === 'approved',
+    frontendUrl: env.FRONTEND_URL,
+    backendUrl: env.BACKEND_URL,
+    allowedOrigins: allowedOrigins.length > 0 ? allowedOrigins : DEFAULT_ALLOWED_ORIGINS,
+    trustProxy: parseTrustProxy(env.TRUST_PROXY),
+    // Tokens del back office y de consulta de órdenes, y bloqueo por intentos fallidos (por usuario y por IP)
+    auth: {
+      jwtSecret: env.JWT_SECRET,
+      accessTokenTtl: env.ACCESS_TOKEN_TTL || '15m',
+      refreshTokenTtlDays: parseInt(env.REFRESH_TOKEN_TTL_DAYS, 10) || 7,
+      orderLookupTokenTtl: env.ORDER_LOOKUP_TOKEN_TTL || '90d',
+      maxFailedAttempts: parseInt(env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5,
+      maxFailedAttemptsPerIp: parseInt(env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP, 10) || 20,
+      lockoutMinutes: parseInt(env.LOGIN_LOCKOUT_MINUTES, 10) || 15
+    },
+    // Reserva de stock de las órdenes sin pagar y cada cuánto corre el barrido que las expira
+    orderExpiry: {
+      reservationTtlMinutes: parseNumber(env, 'ORDER_RESERVATION_TTL_MINUTES', 60, { integer: true, min: 1 }),
+      sweepIntervalMinutes: parseNumber(env, 'ORDER_EXPIRY_SWEEP_INTERVAL_MINUTES', 5, { integer: true, min: 1 })
+    },
+    email: {
+      from: env.EMAIL_FROM || 'Vitafer México <no-reply@vitafermex.com>',
+      outboxIntervalSeconds: parseNumber(env, 'EMAIL_OUTBOX_INTERVAL_SECONDS', 30, { integer: true, min: 1 })
+    },
+    referrals: {
+      // Tasa usada cuando ni el producto ni el empleado tienen una propia (0.05 = 5 %)
+      defaultCommissionRate: parseNumber(env, 'DEFAULT_COMMISSION_RATE', 0.05, { min: 0, max: 1 }),
+      // 'ignore': un código inválido se descarta y la compra sigue; 'reject': se rechaza el checkout
+      invalidReferralPolicy: parseChoice(env, 'INVALID_REFERRAL_POLICY', ['ignore', 'reject'], 'ignore')
+    },
+    stockAlerts: {
+      // Umbral para productos sin lowStockThreshold propio
+      defaultThreshold: parseNumber(env, 'DEFAULT_LOW_STOCK_THRESHOLD', 5, { integer: true, min: 0 }),
+      // LOW_STOCK_ALERT_EMAILS separados por coma. Sin destinatarios el aviso solo queda en el log.
+      recipients: parseList(env.LOW_STOCK_ALERT_EMAILS)
+    },
+    // Tiempo máximo para terminar las peticiones en curso al apagar antes de forzar la salida
+    shutdownTimeoutMs: parseInt(env.SHUTDOWN_TIMEOUT_MS, 10) || 10000
+  };
+}
+
+module.exports = {
+  ConfigError,
+  loadConfig
+};
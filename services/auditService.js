@@ -0,0 +1,71 @@
+// --- Bitácora de acciones privilegiadas ---
+// Cada acción del back office (despachos, cambios de stock, reembolsos, gestión de usuarios, etc.)
+// deja un registro en 'audit_log' con quién la hizo, sobre qué y cuándo.
+
+const AUDIT_ACTIONS = {
+  ORDER_STATUS_CHANGED: 'order.status_changed',
+  ORDER_DISPATCHED: 'order.dispatched',
+  ORDER_UNSHIPPED: 'order.unshipped',
+  ORDER_CANCELLED: 'order.cancelled',
+  ORDER_REFUNDED: 'order.refunded',
+  STOCK_CHANGED: 'product.stock_changed',
+  PRODUCT_CREATED: 'product.created',
+  PRODUCT_UPDATED: 'product.updated',
+  PRODUCT_DELETED: 'product.deleted',
+  COUPON_CREATED: 'coupon.created',
+  COUPON_UPDATED: 'coupon.updated',
+  SHIPPING_METHOD_CREATED: 'shipping_method.created',
+  SHIPPING_METHOD_UPDATED: 'shipping_method.updated',
+  PAYOUT_CREATED: 'commission_payout.created',
+  WEBHOOK_REPLAYED: 'webhook_event.replayed',
+  USER_CREATED: 'user.created',
+  USER_UPDATED: 'user.updated',
+  USER_DELETED: 'user.deleted',
+  USER_PASSWORD_RESET: 'user.password_reset',
+  USER_PASSWORD_CHANGED: 'user.password_changed'
+};
+
+const MAX_AUDIT_LIMIT = 500;
+
+// target: { type, id }. Con session el registro se confirma junto con el cambio que documenta.
+async function recordAudit(db, { actor, action, target, details = null, ip = null }, { session } = {}) {
+  const entry = {
+    actor,
+    action,
+    target: target ? { type: target.type, id: String(target.id) } : null,
+    details,
+    ip,
+    createdAt: new Date()
+  };
+  await db.collection('audit_log').insertOne(entry, { session });
+  return entry;
+}
+
+// Filtros: actor, action, targetType, targetId, from/to (rango ya validado) y limit
+async function listAuditLog(db, { actor, action, targetType, targetId, from, to, limit } = {}) {
+  const filter = {};
+  if (actor) filter.actor = actor;
+  if (action) filter.action = action;
+  if (targetType) filter['target.type'] = targetType;
+  if (targetId) filter['target.id'] = String(targetId);
+  if (from || to) filter.createdAt = { ...(from && { $gte: from }), ...(to && { $lt: to }) };
+  return db.collection('audit_log')
+    .find(filter)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(parseInt(limit, 10) || 100, 1), MAX_AUDIT_LIMIT))
+    .toArray();
+}
+
+async function ensureAuditIndexes(db) {
+  const auditCollection = db.collection('audit_log');
+  await auditCollection.createIndex({ createdAt: -1 });
+  await auditCollection.createIndex({ actor: 1, createdAt: -1 });
+  await auditCollection.createIndex({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  recordAudit,
+  listAuditLog,
+  ensureAuditIndexes
+};
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+// Las funciones que firman o verifican tokens, o aplican el bloqueo de login, reciben authConfig
+// (config.auth de loadConfig): { jwtSecret, accessTokenTtl, refreshTokenTtlDays, maxFailedAttempts,
+// maxFailedAttemptsPerIp, lockoutMinutes }.
+
+const ROLES = { ADMIN: 'admin', DISPATCHER: 'dispatcher', EMPLOYEE: 'employee' };
+
+const INVALID_CREDENTIALS_MESSAGE = 'Usuario o contraseña incorrectos';
+// Hash de referencia para comparar cuando el usuario no existe y que el tiempo de respuesta no lo delate
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// Solo guardamos el hash del refresh token; si se filtra la colección no sirven para iniciar sesión
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = ({ sessionId, username, role }, authConfig) => jwt.sign(
+  { role, sid: sessionId },
+  authConfig.jwtSecret,
+  { subject: username, expiresIn: authConfig.accessTokenTtl }
+);
+
+const buildTokenResponse = (session, refreshToken, authConfig) => {
+  const accessToken = signAccessToken(session, authConfig);
+  const { exp } = jwt.decode(accessToken);
+  return { accessToken, refreshToken, expiresIn: exp - Math.floor(Date.now() / 1000) };
+};
+
+// --- Intentos de login ---
+// Un documento por clave ('user:<username>' o 'ip:<ip>') en 'login_attempts'. Cada fallo extiende
+// expiresAt; al llegar al límite la clave queda bloqueada hasta que el índice TTL borra el documento.
+// Se bloquea por usuario (exista o no) y por IP.
+const attemptKeys = (username, ip, authConfig) => [
+  { key: `user:${username}`, limit: authConfig.maxFailedAttempts },
+  ...(ip ? [{ key: `ip:${ip}`, limit: authConfig.maxFailedAttemptsPerIp }] : [])
+];
+
+async function isLoginLocked(db, keys) {
+  const now = new Date();
+  const attempts = await db.collection('login_attempts')
+    .find({ key: { $in: keys.map(({ key }) => key) }, expiresAt: { $gt: now } })
+    .toArray();
+  return attempts.some(attempt => attempt.failures >= keys.find(({ key }) => key === attempt.key).limit);
+}
+
+async function recordFailedLogin(db, keys, lockoutMinutes) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + lockoutMinutes * 60 * 1000);
+  // Si el contador ya venció (el TTL tarda hasta un minuto en borrarlo) se reinicia en 1
+  const increment = (key) => db.collection('login_attempts').updateOne(
+    { key },
+    [{ $set: { failures: { $cond: [{ $gt: ['$expiresAt', now] }, { $add: ['$failures', 1] }, 1] }, lastFailureAt: now, expiresAt } }],
+    { upsert: true }
+  );
+  await Promise.all(keys.map(async ({ key }) => {
+    try {
+      await increment(key);
+    } catch (error) {
+      // Dos fallos simultáneos pueden intentar crear el mismo documento; el segundo se reintenta como actualización
+      if (error?.code !== 11000) throw error;
+      await increment(key);
+    }
+  }));
+}
+
+// Valida usuario y contraseña. Usuario inexistente, contraseña incorrecta o cuenta desactivada
+// responden con el mismo mensaje para no revelar qué cuentas existen.
+async function authenticateUser(db, { username, password, ip }, authConfig) {
+  const keys = attemptKeys(username, ip, authConfig);
+  if (await isLoginLocked(db, keys)) {
+    throw new AuthError(`Demasiados intentos fallidos. Intenta de nuevo en ${authConfig.lockoutMinutes} minutos.`, 429);
+  }
+  const dispatcherUser = await db.collection('dispatchers').findOne({ username });
+  const isMatch = await bcrypt.compare(password, dispatcherUser?.password || DUMMY_PASSWORD_HASH);
+  if (!dispatcherUser || !isMatch || dispatcherUser.active === false) {
+    await recordFailedLogin(db, keys, authConfig.lockoutMinutes);
+    throw new AuthError(INVALID_CREDENTIALS_MESSAGE);
+  }
+  // Un login correcto limpia los fallos del usuario; los de la IP expiran solos
+  await db.collection('login_attempts').deleteOne({ key: `user:${username}` });
+  await db.collection('dispatchers').updateOne({ _id: dispatcherUser._id }, { $set: { lastLoginAt: new Date() } });
+  return dispatcherUser;
+}
+
+// Crea una sesión nueva para el usuario ya autenticado con usuario/contraseña
+async function createSession(db, user, authConfig) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const now = new Date();
+  const session = {
+    sessionId: crypto.randomUUID(),
+    username: user.username,
+    role: user.role,
+    refreshTokenHash: hashToken(refreshToken),
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + authConfig.refreshTokenTtlDays * 24 * 60 * 60 * 1000),
+    revokedAt: null
+  };
+  await db.collection('dispatcher_sessions').insertOne(session);
+  return buildTokenResponse(session, refreshToken, authConfig);
+}
+
+// Rota el refresh token: el anterior deja de ser válido en cuanto se usa
+async function refreshSession(db, refreshToken, authConfig) {
+  if (!refreshToken || typeof refreshToken !== 'string') throw new AuthError('Refresh token requerido', 400);
+  const sessionsCollection = db.collection('dispatcher_sessions');
+  const session = await sessionsCollection.findOne({ refreshTokenHash: hashToken(refreshToken) });
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    throw new AuthError('Sesión inválida o expirada');
+  }
+  // El rol se vuelve a leer para que un cambio de permisos aplique en el siguiente refresh
+  const dispatcherUser = await db.collection('dispatchers').findOne({ username: session.username });
+  if (!dispatcherUser || dispatcherUser.active === false) {
+    await revokeSession(db, session.sessionId);
+    throw new AuthError('Sesión inválida o expirada');
+  }
+  const newRefreshToken = crypto.randomBytes(48).toString('hex');
+  const result = await sessionsCollection.updateOne(
+    { sessionId: session.sessionId, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+    { $set: { refreshTokenHash: hashToken(newRefreshToken), role: dispatcherUser.role, lastUsedAt: new Date() } }
+  );
+  if (result.modifiedCount === 0) throw new AuthError('Sesión inválida o expirada');
+  return {
+    user: { username: dispatcherUser.username, role: dispatcherUser.role },
+    ...buildTokenResponse({ ...session, role: dispatcherUser.role }, newRefreshToken, authConfig)
+  };
+}
+
+async function revokeSession(db, sessionId) {
+  const result = await db.collection('dispatcher_sessions').updateOne(
+    { sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Cierra todas las sesiones de un usuario (p. ej. al desactivarlo o cambiar su contraseña)
+async function revokeUserSessions(db, username, { exceptSessionId } = {}) {
+  const filter = { username, revokedAt: null };
+  if (exceptSessionId) filter.sessionId = { $ne: exceptSessionId };
+  const result = await db.collection('dispatcher_sessions').updateMany(filter, { $set: { revokedAt: new Date() } });
+  return result.modifiedCount;
+}
+
+// Verifica firma y expiración del access token y que la sesión no haya sido revocada
+async function verifyAccessToken(db, token, authConfig) {
+  let payload;
+  try {
+    payload = jwt.verify(token, authConfig.jwtSecret);
+  } catch (error) {
+    throw new AuthError(error.name === 'TokenExpiredError' ? 'Token expirado' : 'Token inválido');
+  }
+  if (!payload.sid) throw new AuthError('Token inválido'); // p. ej. un token de consulta de orden
+  const session = await db.collection('dispatcher_sessions').findOne({ sessionId: payload.sid });
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    throw new AuthError('Sesión inválida o expirada');
+  }
+  return { username: payload.sub, role: payload.role, sessionId: payload.sid };
+}
+
+async function ensureAuthIndexes(db) {
+  await db.collection('login_attempts').createIndex({ key: 1 }, { unique: true });
+  // MongoDB borra los contadores vencidos, lo que también levanta el bloqueo
+  await db.collection('login_attempts').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  // verifyAccessToken busca por sessionId en cada petición y refreshSession por refreshTokenHash
+  await db.collection('dispatcher_sessions').createIndex({ sessionId: 1 }, { unique: true });
+  await db.collection('dispatcher_sessions').createIndex(
+    { refreshTokenHash: 1 },
+    { unique: true, partialFilterExpression: { refreshTokenHash: { $type: 'string' } } }
+  );
+  await db.collection('dispatcher_sessions').createIndex({ username: 1, revokedAt: 1 });
+  // Las sesiones vencidas ya no sirven ni para refrescar; MongoDB las borra
+  await db.collection('dispatcher_sessions').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+}
+
+module.exports = {
+  ROLES,
+  AuthError,
+  authenticateUser,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  verifyAccessToken,
+  ensureAuthIndexes
+};
@@ -0,0 +1,262 @@
+const { toCents, fromCents } = require('./checkoutService');
+const { setStockLevel } = require('./inventoryService');
+
+// --- Catálogo de productos ---
+// La colección 'products' es la fuente de verdad del catálogo (nombre, precio, imágenes...) y del stock.
+// El stock no se edita desde aquí: cambia solo por la bitácora de inventario.
+
+const PRODUCT_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const TEXT_FIELDS = { name: 200, presentation: 250, sku: 64, description: 5000, category: 100 };
+
+// Campos que ve el storefront; sku, commissionRate, lowStockThreshold y metadatos quedan solo para administración
+const PUBLIC_PROJECTION = {
+  _id: 0,
+  productId: 1,
+  name: 1,
+  presentation: 1,
+  price: 1,
+  images: 1,
+  description: 1,
+  category: 1,
+  stock: 1
+};
+
+class CatalogError extends Error {
+  constructor(message, status = 400, details = null) {
+    super(message);
+    this.name = 'CatalogError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Valida y normaliza los campos del producto. Con partial=true (edición) solo valida los presentes.
+function parseProductInput(body, { partial = false } = {}) {
+  if (!body || typeof body !== 'object') throw new CatalogError('Datos del producto requeridos');
+  const fields = {};
+  const errors = [];
+
+  for (const [field, maxLength] of Object.entries(TEXT_FIELDS)) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null && field !== 'name') {
+      fields[field] = null;
+      continue;
+    }
+    if (typeof body[field] !== 'string' || !body[field].trim() || body[field].trim().length > maxLength) {
+      errors.push({ field, message: `Debe ser un texto de 1 a ${maxLength} caracteres` });
+      continue;
+    }
+    fields[field] = body[field].trim();
+  }
+  if (fields.sku) fields.sku = fields.sku.toUpperCase();
+
+  if (body.price !== undefined) {
+    if (typeof body.price !== 'number' || !Number.isFinite(body.price) || body.price < 0 || fromCents(toCents(body.price)) !== body.price) {
+      errors.push({ field: 'price', message: 'Debe ser un monto en MXN no negativo con máximo 2 decimales' });
+    } else {
+      fields.price = body.price;
+    }
+  }
+
+  if (body.images !== undefined) {
+    const images = Array.isArray(body.images) ? body.images : [];
+    const valid = Array.isArray(body.images) && images.every(url => typeof url === 'string' && /^https?:\/\/\S+$/.test(url));
+    if (!valid) errors.push({ field: 'images', message: 'Debe ser una lista de URLs http(s)' });
+    else fields.images = images;
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') errors.push({ field: 'active', message: 'Debe ser true o false' });
+    else fields.active = body.active;
+  }
+
+  if (body.weightKg !== undefined) {
+    if (body.weightKg !== null && (typeof body.weightKg !== 'number' || !Number.isFinite(body.weightKg) || body.weightKg < 0)) {
+      errors.push({ field: 'weightKg', message: 'Debe ser el peso en kg (número no negativo) o null' });
+    } else {
+      fields.weightKg = body.weightKg;
+    }
+  }
+
+  if (body.lowStockThreshold !== undefined) {
+    const threshold = body.lowStockThreshold;
+    if (threshold !== null && (!Number.isInteger(threshold) || threshold < 0)) {
+      errors.push({ field: 'lowStockThreshold', message: 'Debe ser un entero no negativo, o null para usar el umbral general' });
+    } else {
+      fields.lowStockThreshold = threshold;
+    }
+  }
+
+  if (body.commissionRate !== undefined) {
+    const rate = body.commissionRate;
+    if (rate !== null && (typeof rate !== 'number' || rate < 0 || rate > 1)) {
+      errors.push({ field: 'commissionRate', message: 'Debe ser una tasa entre 0 y 1, o null para usar la del empleado' });
+    } else {
+      fields.commissionRate = rate;
+    }
+  }
+
+  if (!partial) {
+    for (const field of ['name', 'price']) {
+      if (fields[field] === undefined && !errors.some(error => error.field === field)) {
+        errors.push({ field, message: 'Campo requerido' });
+      }
+    }
+  }
+  if (errors.length > 0) throw new CatalogError('Datos del producto inválidos', 400, errors);
+  return fields;
+}
+
+const isDuplicateKeyError = (error) => error?.code === 11000;
+
+function duplicateKeyError(error, productId) {
+  return error.keyPattern?.sku
+    ? new CatalogError('Ya existe otro producto con ese SKU', 409)
+    : new CatalogError(`Ya existe un producto con el ID "${productId}"`, 409);
+}
+
+// Filtros comunes del listado: ?category=&q= (nombre, presentación o SKU)
+function buildCatalogFilter(query = {}) {
+  const filter = {};
+  if (query.category) filter.category = String(query.category);
+  if (query.q) {
+    const pattern = { $regex: escapeRegex(String(query.q).trim()), $options: 'i' };
+    filter.$or = [{ name: pattern }, { presentation: pattern }, { sku: pattern }];
+  }
+  return filter;
+}
+
+// Un documento es producto de catálogo cuando tiene nombre; los antiguos { productId, stock } no
+const CATALOG_CONDITION = { name: { $exists: true } };
+
+const withStockState = (product) => ({ ...product, stock: product.stock || 0, inStock: (product.stock || 0) > 0 });
+
+async function listPublicCatalog(db, query = {}) {
+  const products = await db.collection('products')
+    .find({ ...buildCatalogFilter(query), ...CATALOG_CONDITION, active: true }, { projection: PUBLIC_PROJECTION })
+    .sort({ category: 1, name: 1 })
+    .toArray();
+  return products.map(withStockState);
+}
+
+async function getPublicProduct(db, productId) {
+  const product = await db.collection('products')
+    .findOne({ productId, ...CATALOG_CONDITION, active: true }, { projection: PUBLIC_PROJECTION });
+  return product ? withStockState(product) : null;
+}
+
+// Stock por productId para el storefront. Sin productIds devuelve todo el catálogo activo;
+// productos inexistentes o inactivos aparecen con stock 0.
+async function getCatalogStock(db, productIds = null) {
+  const filter = { ...CATALOG_CONDITION, active: true };
+  if (productIds) filter.productId = { $in: productIds };
+  const products = await db.collection('products')
+    .find(filter, { projection: { _id: 0, productId: 1, stock: 1 } })
+    .toArray();
+  const stockMap = {};
+  (productIds || []).forEach(id => { stockMap[id] = 0; });
+  products.forEach(product => { stockMap[product.productId] = product.stock || 0; });
+  return stockMap;
+}
+
+async function listAdminCatalog(db, query = {}) {
+  const filter = buildCatalogFilter(query);
+  if (query.active === 'true') filter.active = true;
+  if (query.active === 'false') filter.active = false;
+  return db.collection('products').find(filter).sort({ name: 1, productId: 1 }).toArray();
+}
+
+// Crea un producto. Si ya existe un documento solo con stock (anterior al catálogo) con el mismo
+// productId, se completa con los datos del catálogo y conserva su stock.
+async function createProduct(db, mongoClient, { body, actor, stockAlerts }) {
+  const productId = typeof body?.productId === 'string' ? body.productId.trim() : '';
+  if (!PRODUCT_ID_PATTERN.test(productId)) {
+    throw new CatalogError('productId requerido: minúsculas, números y guiones (ej. "vitafer-l-500ml")');
+  }
+  const fields = parseProductInput(body);
+  const initialStock = body.initialStock;
+  if (initialStock !== undefined && (!Number.isInteger(initialStock) || initialStock < 0)) {
+    throw new CatalogError('initialStock debe ser un número entero no negativo');
+  }
+
+  const now = new Date();
+  const session = mongoClient.startSession();
+  let product = null;
+  try {
+    await session.withTransaction(async (currentSession) => {
+      product = await db.collection('products').findOneAndUpdate(
+        { productId, name: { $exists: false } },
+        {
+          $set: { active: true, images: [], ...fields, updatedAt: now, updatedBy: actor },
+          $setOnInsert: { stock: 0, createdAt: now, createdBy: actor }
+        },
+        { upsert: true, returnDocument: 'after', session: currentSession }
+      );
+      if (initialStock !== undefined) {
+        await setStockLevel(db, { productId, newStock: initialStock, actor, reason: 'Stock inicial del catálogo', stockAlerts, session: currentSession });
+        product.stock = initialStock;
+      }
+    });
+  } catch (error) {
+    if (isDuplicateKeyError(error)) throw duplicateKeyError(error, productId);
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+  return product;
+}
+
+async function updateProduct(db, productId, { body, actor }) {
+  if (body?.productId !== undefined && body.productId !== productId) {
+    throw new CatalogError('El productId no se puede cambiar');
+  }
+  if (body?.stock !== undefined || body?.initialStock !== undefined) {
+    throw new CatalogError('El stock se modifica con PUT /api/dispatcher/product/:productId/stock');
+  }
+  const fields = parseProductInput(body, { partial: true });
+  if (Object.keys(fields).length === 0) throw new CatalogError('No hay campos para actualizar');
+  try {
+    const product = await db.collection('products').findOneAndUpdate(
+      { productId, ...CATALOG_CONDITION },
+      { $set: { ...fields, updatedAt: new Date(), updatedBy: actor } },
+      { returnDocument: 'after' }
+    );
+    if (!product) throw new CatalogError('Producto no encontrado', 404);
+    return product;
+  } catch (error) {
+    if (isDuplicateKeyError(error)) throw duplicateKeyError(error, productId);
+    throw error;
+  }
+}
+
+// Solo se borran productos que nunca se han vendido y sin stock; los demás se desactivan
+// (active: false) para conservar el historial de órdenes y de inventario.
+async function deleteProduct(db, productId) {
+  const product = await db.collection('products').findOne({ productId });
+  if (!product) throw new CatalogError('Producto no encontrado', 404);
+  const hasOrders = await db.collection('orders').findOne({ 'items.productId': productId }, { projection: { _id: 1 } });
+  if (hasOrders || (product.stock || 0) > 0) {
+    throw new CatalogError('El producto tiene órdenes o stock; desactívalo con active: false en lugar de borrarlo', 409);
+  }
+  await db.collection('products').deleteOne({ productId, stock: { $not: { $gt: 0 } } });
+}
+
+async function ensureCatalogIndexes(db) {
+  await db.collection('products').createIndex({ productId: 1 }, { unique: true });
+  await db.collection('products').createIndex({ sku: 1 }, { unique: true, partialFilterExpression: { sku: { $type: 'string' } } });
+  await db.collection('products').createIndex({ active: 1, category: 1, name: 1 });
+}
+
+module.exports = {
+  CatalogError,
+  listPublicCatalog,
+  getPublicProduct,
+  getCatalogStock,
+  listAdminCatalog,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+  ensureCatalogIndexes
+};
@@ -0,0 +1,136 @@
+class CheckoutError extends Error {
+  constructor(message, errorType, details = null, status = 400) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.errorType = errorType;
+    this.details = details;
+    this.status = status;
+  }
+}
+
+// Los montos se comparan en centavos para evitar errores de punto flotante
+const toCents = (value) => Math.round(Number(value) * 100);
+const fromCents = (cents) => cents / 100;
+
+// Valida ids y cantidades del carrito y agrupa líneas repetidas del mismo producto
+function normalizeCartItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new CheckoutError('El carrito está vacío', 'VALIDATION_ERROR');
+  }
+  const quantities = new Map();
+  for (const item of items) {
+    if (!item || !item.id || typeof item.id !== 'string') {
+      throw new CheckoutError(`Item del carrito "${item?.name}" no tiene un ID de producto válido.`, 'VALIDATION_ERROR');
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+      throw new CheckoutError(
+        `La cantidad para "${item.name || item.id}" debe ser un número entero positivo.`,
+        'INVALID_QUANTITY',
+        [{ productId: item.id, received: item.quantity }]
+      );
+    }
+    quantities.set(item.id, (quantities.get(item.id) || 0) + item.quantity);
+  }
+  return [...quantities].map(([productId, quantity]) => ({ productId, quantity }));
+}
+
+// Recalcula precios y subtotal del carrito usando la colección 'products' como fuente de verdad.
+// Si el cliente envió unit_price, debe coincidir con lo calculado aquí; el totalAmount (que incluye
+// envío) se compara con assertExpectedTotal una vez que se conoce el total final.
+async function priceCart(db, orderData, { session } = {}) {
+  const cartItems = normalizeCartItems(orderData.items);
+  const productDocs = await db.collection('products')
+    .find({ productId: { $in: cartItems.map(item => item.productId) } }, { session })
+    .toArray();
+  const products = new Map(productDocs.map(product => [product.productId, product]));
+
+  const unavailable = cartItems.filter(({ productId }) => {
+    const product = products.get(productId);
+    return !product || product.active === false || typeof product.price !== 'number' || product.price < 0;
+  });
+  if (unavailable.length > 0) {
+    throw new CheckoutError(
+      'Uno o más productos del carrito no están disponibles.',
+      'PRODUCT_UNAVAILABLE',
+      unavailable.map(({ productId }) => ({ productId }))
+    );
+  }
+
+  let totalCents = 0;
+  const items = cartItems.map(({ productId, quantity }) => {
+    const product = products.get(productId);
+    const unitCents = toCents(product.price);
+    totalCents += unitCents * quantity;
+    return {
+      productId,
+      name: product.name || productId,
+      presentation: product.presentation || '',
+      quantity,
+      unitPrice: fromCents(unitCents),
+      totalItemPrice: fromCents(unitCents * quantity)
+    };
+  });
+
+  const mismatches = [];
+  for (const item of orderData.items) {
+    if (item.unit_price === undefined || item.unit_price === null) continue;
+    const expected = products.get(item.id).price;
+    if (toCents(item.unit_price) !== toCents(expected)) {
+      mismatches.push({ productId: item.id, field: 'unit_price', expected, received: item.unit_price });
+    }
+  }
+  if (mismatches.length > 0) {
+    throw new CheckoutError(
+      'Los precios del carrito no coinciden con los precios actuales. Actualiza tu carrito e intenta de nuevo.',
+      'PRICE_MISMATCH',
+      mismatches
+    );
+  }
+
+  return { items, totalAmount: fromCents(totalCents), products };
+}
+
+// Si el cliente envió totalAmount, debe coincidir con el total calculado en el servidor
+function assertExpectedTotal(orderData, totalAmount) {
+  if (orderData.totalAmount === undefined || orderData.totalAmount === null) return;
+  if (toCents(orderData.totalAmount) !== toCents(totalAmount)) {
+    throw new CheckoutError(
+      'Los precios del carrito no coinciden con los precios actuales. Actualiza tu carrito e intenta de nuevo.',
+      'PRICE_MISMATCH',
+      [{ field: 'totalAmount', expected: totalAmount, received: orderData.totalAmount }]
+    );
+  }
+}
+
+// Líneas para la preferencia de MercadoPago con el descuento ya aplicado a cada producto.
+// MercadoPago no acepta precios negativos ni fracciones de centavo: si el importe neto de una línea
+// no se divide exacto entre sus piezas, se parte en dos líneas que difieren en un centavo.
+function toPreferenceItems(items) {
+  const lines = [];
+  for (const item of items) {
+    const netCents = toCents(item.totalItemPrice) - toCents(item.discountAmount || 0);
+    if (netCents <= 0) continue;
+    const unitCents = Math.floor(netCents / item.quantity);
+    const remainder = netCents - unitCents * item.quantity;
+    const base = {
+      id: item.productId,
+      title: item.name.substring(0, 250),
+      description: item.presentation.substring(0, 250),
+      currency_id: 'MXN',
+    };
+    if (item.quantity - remainder > 0 && unitCents > 0) {
+      lines.push({ ...base, quantity: item.quantity - remainder, unit_price: fromCents(unitCents) });
+    }
+    if (remainder > 0) lines.push({ ...base, quantity: remainder, unit_price: fromCents(unitCents + 1) });
+  }
+  return lines;
+}
+
+module.exports = {
+  CheckoutError,
+  toCents,
+  fromCents,
+  priceCart,
+  assertExpectedTotal,
+  toPreferenceItems
+};
@@ -0,0 +1,304 @@
+const { CheckoutError, toCents, fromCents } = require('./checkoutService');
+
+// --- Cupones de descuento ---
+// 'coupons' guarda la configuración y un contador redeemedCount; cada uso queda en 'coupon_redemptions'
+// ligado a su orden. El canje se hace dentro de la transacción del checkout y se libera si la orden
+// falla, expira o se cancela.
+
+const COUPON_TYPES = ['percentage', 'fixed'];
+const CODE_PATTERN = /^[A-Z0-9][A-Z0-9_-]{2,31}$/;
+
+class CouponConfigError extends Error {
+  constructor(message, status = 400, details = null) {
+    super(message);
+    this.name = 'CouponConfigError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : null);
+
+// Subtotal al que aplica el cupón: todo el carrito o solo los productos permitidos
+const eligibleItems = (coupon, pricedCart) => (coupon.productIds?.length
+  ? pricedCart.items.filter(item => coupon.productIds.includes(item.productId))
+  : pricedCart.items);
+
+// Descuento en centavos; nunca mayor que el subtotal elegible (no aplica al envío)
+function computeDiscountCents(coupon, pricedCart) {
+  const eligibleCents = eligibleItems(coupon, pricedCart).reduce((sum, item) => sum + toCents(item.totalItemPrice), 0);
+  let discountCents = coupon.type === 'percentage'
+    ? Math.round(eligibleCents * coupon.value / 100)
+    : toCents(coupon.value);
+  if (typeof coupon.maxDiscountAmount === 'number') discountCents = Math.min(discountCents, toCents(coupon.maxDiscountAmount));
+  return Math.min(discountCents, eligibleCents);
+}
+
+// Reparte el descuento entre las líneas elegibles en proporción a su importe (el residuo de centavos
+// va a la última) y devuelve los items con discountAmount por línea
+function allocateDiscount(coupon, pricedCart, discountCents) {
+  const eligible = new Set(eligibleItems(coupon, pricedCart).map(item => item.productId));
+  const eligibleLines = pricedCart.items.filter(item => eligible.has(item.productId));
+  const eligibleCents = eligibleLines.reduce((sum, item) => sum + toCents(item.totalItemPrice), 0);
+  const lastEligible = eligibleLines[eligibleLines.length - 1];
+  let remaining = discountCents;
+  return pricedCart.items.map(item => {
+    if (!eligible.has(item.productId) || eligibleCents === 0) return { ...item, discountAmount: 0 };
+    const lineCents = item === lastEligible
+      ? remaining
+      : Math.floor(discountCents * toCents(item.totalItemPrice) / eligibleCents);
+    remaining -= lineCents;
+    return { ...item, discountAmount: fromCents(lineCents) };
+  });
+}
+
+// Verifica vigencia, mínimo de compra, productos y límites. Lanza CheckoutError con el motivo;
+// el errorType permite al storefront mostrar un mensaje específico.
+async function evaluateCoupon(db, code, pricedCart, { customerEmail = null, session, now = new Date() } = {}) {
+  const normalizedCode = normalizeCode(code);
+  const coupon = normalizedCode ? await db.collection('coupons').findOne({ code: normalizedCode }, { session }) : null;
+  if (!coupon || !coupon.active) throw new CheckoutError('El cupón no es válido.', 'COUPON_INVALID', [{ code }]);
+  if (coupon.startsAt && now < coupon.startsAt) throw new CheckoutError('El cupón todavía no está vigente.', 'COUPON_NOT_STARTED', [{ code: coupon.code, startsAt: coupon.startsAt }]);
+  if (coupon.endsAt && now >= coupon.endsAt) throw new CheckoutError('El cupón ya expiró.', 'COUPON_EXPIRED', [{ code: coupon.code, endsAt: coupon.endsAt }]);
+  if (typeof coupon.usageLimit === 'number' && coupon.redeemedCount >= coupon.usageLimit) {
+    throw new CheckoutError('El cupón ya alcanzó su límite de usos.', 'COUPON_EXHAUSTED', [{ code: coupon.code }]);
+  }
+  if (typeof coupon.minOrderAmount === 'number' && toCents(pricedCart.totalAmount) < toCents(coupon.minOrderAmount)) {
+    throw new CheckoutError(
+      `El cupón requiere una compra mínima de $${coupon.minOrderAmount.toFixed(2)} MXN.`,
+      'COUPON_MIN_AMOUNT',
+      [{ code: coupon.code, minOrderAmount: coupon.minOrderAmount, subtotal: pricedCart.totalAmount }]
+    );
+  }
+  const discountCents = computeDiscountCents(coupon, pricedCart);
+  if (discountCents <= 0) {
+    throw new CheckoutError('El cupón no aplica a los productos de tu carrito.', 'COUPON_NOT_APPLICABLE', [{ code: coupon.code, productIds: coupon.productIds }]);
+  }
+  const email = normalizeEmail(customerEmail);
+  if (email && typeof coupon.perCustomerLimit === 'number') {
+    const uses = await db.collection('coupon_redemptions').countDocuments({ couponId: coupon._id, customerEmail: email, status: 'active' }, { session });
+    if (uses >= coupon.perCustomerLimit) {
+      throw new CheckoutError('Ya usaste este cupón el máximo de veces permitido.', 'COUPON_CUSTOMER_LIMIT', [{ code: coupon.code }]);
+    }
+  }
+  return {
+    coupon,
+    discountAmount: fromCents(discountCents),
+    items: allocateDiscount(coupon, pricedCart, discountCents)
+  };
+}
+
+// Resumen del cupón que se guarda en la orden
+const orderDiscountSummary = (coupon, discountAmount) => ({
+  couponId: coupon._id,
+  code: coupon.code,
+  type: coupon.type,
+  value: coupon.value,
+  amount: discountAmount
+});
+
+// Canjea el cupón para la orden. Debe llamarse dentro de la transacción del checkout: el $inc sobre el
+// cupón serializa canjes concurrentes, así que los límites no se pueden rebasar.
+async function redeemCoupon(db, { coupon, orderId, customerEmail, discountAmount, session }) {
+  const email = normalizeEmail(customerEmail);
+  const claimed = await db.collection('coupons').findOneAndUpdate(
+    {
+      _id: coupon._id,
+      active: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$redeemedCount', '$usageLimit'] } }]
+    },
+    { $inc: { redeemedCount: 1 } },
+    { session, returnDocument: 'after' }
+  );
+  if (!claimed) throw new CheckoutError('El cupón ya alcanzó su límite de usos.', 'COUPON_EXHAUSTED', [{ code: coupon.code }]);
+  if (typeof claimed.perCustomerLimit === 'number') {
+    const uses = await db.collection('coupon_redemptions').countDocuments({ couponId: coupon._id, customerEmail: email, status: 'active' }, { session });
+    if (uses >= claimed.perCustomerLimit) {
+      throw new CheckoutError('Ya usaste este cupón el máximo de veces permitido.', 'COUPON_CUSTOMER_LIMIT', [{ code: coupon.code }]);
+    }
+  }
+  await db.collection('coupon_redemptions').insertOne({
+    couponId: coupon._id,
+    code: coupon.code,
+    orderId,
+    customerEmail: email,
+    discountAmount,
+    status: 'active',
+    createdAt: new Date(),
+    releasedAt: null,
+    releaseReason: null
+  }, { session });
+}
+
+// Libera el canje de una orden que falló, expiró o se canceló; el cupón vuelve a estar disponible.
+// Debe ir en la misma transacción que el cambio de estado, que es la guarda contra liberar dos veces.
+async function releaseCouponRedemption(db, order, { reason, session } = {}) {
+  if (!order.discount?.couponId) return false;
+  const redemption = await db.collection('coupon_redemptions').findOneAndUpdate(
+    { orderId: order._id, status: 'active' },
+    { $set: { status: 'released', releasedAt: new Date(), releaseReason: reason || null } },
+    { session }
+  );
+  if (!redemption) return false;
+  await db.collection('coupons').updateOne({ _id: redemption.couponId }, { $inc: { redeemedCount: -1 } }, { session });
+  console.log(`Cupón ${redemption.code} liberado de la orden ${order._id} (${reason}).`);
+  return true;
+}
+
+// Vuelve a contar el canje de una orden expirada o fallida que MercadoPago aprueba tarde: el cliente
+// ya pagó con el descuento, así que no se revisan los límites
+async function reinstateCouponRedemption(db, order, { session } = {}) {
+  if (!order.discount?.couponId) return false;
+  const redemption = await db.collection('coupon_redemptions').findOneAndUpdate(
+    { orderId: order._id, status: 'released' },
+    { $set: { status: 'active', releasedAt: null, releaseReason: null, reinstatedAt: new Date() } },
+    { session }
+  );
+  if (!redemption) return false;
+  await db.collection('coupons').updateOne({ _id: redemption.couponId }, { $inc: { redeemedCount: 1 } }, { session });
+  return true;
+}
+
+// --- Administración de cupones ---
+function parseDate(value, field, errors) {
+  if (value === null) return null;
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    errors.push({ field, message: 'Debe ser una fecha ISO 8601 o null' });
+    return undefined;
+  }
+  return date;
+}
+
+function parseCouponInput(body, { partial = false, current = null } = {}) {
+  if (!body || typeof body !== 'object') throw new CouponConfigError('Datos del cupón requeridos');
+  const fields = {};
+  const errors = [];
+  const isMoney = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+  const isLimit = (value) => value === null || (Number.isInteger(value) && value > 0);
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') errors.push({ field: 'description', message: 'Debe ser texto' });
+    else fields.description = body.description?.trim() || null;
+  }
+  if (body.type !== undefined) {
+    if (!COUPON_TYPES.includes(body.type)) errors.push({ field: 'type', message: `Opciones: ${COUPON_TYPES.join(', ')}` });
+    else fields.type = body.type;
+  }
+  if (body.value !== undefined) {
+    if (!isMoney(body.value)) errors.push({ field: 'value', message: 'Debe ser un número mayor a cero' });
+    else fields.value = body.value;
+  }
+  for (const field of ['minOrderAmount', 'maxDiscountAmount']) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && !isMoney(body[field])) errors.push({ field, message: 'Debe ser un monto en MXN mayor a cero, o null' });
+    else fields[field] = body[field];
+  }
+  for (const field of ['usageLimit', 'perCustomerLimit']) {
+    if (body[field] === undefined) continue;
+    if (!isLimit(body[field])) errors.push({ field, message: 'Debe ser un entero positivo, o null para no limitar' });
+    else fields[field] = body[field];
+  }
+  if (body.productIds !== undefined) {
+    if (!Array.isArray(body.productIds) || !body.productIds.every(id => typeof id === 'string' && id.trim())) {
+      errors.push({ field: 'productIds', message: 'Debe ser una lista de productId (vacía = todos los productos)' });
+    } else {
+      fields.productIds = [...new Set(body.productIds.map(id => id.trim()))];
+    }
+  }
+  for (const field of ['startsAt', 'endsAt']) {
+    if (body[field] === undefined) continue;
+    const date = parseDate(body[field], field, errors);
+    if (date !== undefined) fields[field] = date;
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') errors.push({ field: 'active', message: 'Debe ser true o false' });
+    else fields.active = body.active;
+  }
+
+  // Reglas que dependen de varios campos se revisan sobre el cupón resultante
+  const merged = { ...current, ...fields };
+  if (!partial) {
+    for (const field of ['type', 'value']) {
+      if (merged[field] === undefined && !errors.some(error => error.field === field)) errors.push({ field, message: 'Campo requerido' });
+    }
+  }
+  if (merged.type === 'percentage' && typeof merged.value === 'number' && merged.value > 100) {
+    errors.push({ field: 'value', message: 'Un porcentaje no puede ser mayor a 100' });
+  }
+  if (merged.startsAt && merged.endsAt && merged.startsAt >= merged.endsAt) {
+    errors.push({ field: 'endsAt', message: 'Debe ser posterior a startsAt' });
+  }
+  if (errors.length > 0) throw new CouponConfigError('Datos del cupón inválidos', 400, errors);
+  return fields;
+}
+
+async function createCoupon(db, { body, actor }) {
+  const code = normalizeCode(body?.code);
+  if (!CODE_PATTERN.test(code)) {
+    throw new CouponConfigError('code requerido: de 3 a 32 letras, números, guiones o guiones bajos');
+  }
+  const fields = parseCouponInput(body);
+  const now = new Date();
+  const coupon = {
+    code,
+    description: null,
+    minOrderAmount: null,
+    maxDiscountAmount: null,
+    usageLimit: null,
+    perCustomerLimit: null,
+    productIds: [],
+    startsAt: null,
+    endsAt: null,
+    active: true,
+    ...fields,
+    redeemedCount: 0,
+    createdAt: now,
+    createdBy: actor,
+    updatedAt: now,
+    updatedBy: actor
+  };
+  try {
+    const { insertedId } = await db.collection('coupons').insertOne(coupon);
+    coupon._id = insertedId;
+  } catch (error) {
+    if (error?.code === 11000) throw new CouponConfigError(`Ya existe un cupón con el código "${code}"`, 409);
+    throw error;
+  }
+  return coupon;
+}
+
+async function updateCoupon(db, code, { body, actor }) {
+  const couponsCollection = db.collection('coupons');
+  const current = await couponsCollection.findOne({ code: normalizeCode(code) });
+  if (!current) throw new CouponConfigError('Cupón no encontrado', 404);
+  if (body?.code !== undefined && normalizeCode(body.code) !== current.code) {
+    throw new CouponConfigError('El código de un cupón no se puede cambiar');
+  }
+  const fields = parseCouponInput(body, { partial: true, current });
+  if (Object.keys(fields).length === 0) throw new CouponConfigError('No hay campos para actualizar');
+  return couponsCollection.findOneAndUpdate(
+    { _id: current._id },
+    { $set: { ...fields, updatedAt: new Date(), updatedBy: actor } },
+    { returnDocument: 'after' }
+  );
+}
+
+async function ensureCouponIndexes(db) {
+  await db.collection('coupons').createIndex({ code: 1 }, { unique: true });
+  await db.collection('coupon_redemptions').createIndex({ couponId: 1, customerEmail: 1, status: 1 });
+  await db.collection('coupon_redemptions').createIndex({ orderId: 1 });
+}
+
+module.exports = {
+  CouponConfigError,
+  evaluateCoupon,
+  orderDiscountSummary,
+  redeemCoupon,
+  releaseCouponRedemption,
+  reinstateCouponRedemption,
+  createCoupon,
+  updateCoupon,
+  ensureCouponIndexes
+};
@@ -0,0 +1,132 @@
+const { renderEmail } = require('./emailTemplates');
+
+const MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 20;
+const SENDING_LOCK_MINUTES = 10;
+
+// Espera antes de cada reintento: 1, 5, 25 y 125 minutos
+const retryDelayMs = (attempts) => Math.pow(5, attempts - 1) * 60 * 1000;
+
+// --- Outbox ---
+// Los correos se encolan en 'email_outbox' (dentro de la transacción del cambio que los origina, si la hay)
+// y un worker los envía después. Así un fallo del correo nunca aborta un pago y un pago abortado no manda correo.
+async function enqueueEmail(db, { template, to, data, orderId = null }, { session } = {}) {
+  if (!to) return null;
+  const { subject, text, html } = renderEmail(template, data);
+  const now = new Date();
+  const { insertedId } = await db.collection('email_outbox').insertOne({
+    template,
+    to,
+    subject,
+    text,
+    html,
+    orderId,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    createdAt: now,
+    sentAt: null
+  }, { session });
+  return insertedId;
+}
+
+const enqueueOrderEmail = (db, order, template, extra = {}, options = {}) => enqueueEmail(db, {
+  template,
+  to: order.customerDetails?.email,
+  data: { order, ...extra },
+  orderId: order._id
+}, options);
+
+const sendOrderConfirmationEmail = (db, order, options) => enqueueOrderEmail(db, order, 'order_paid', {}, options);
+
+async function claimNextEmail(db) {
+  const now = new Date();
+  return db.collection('email_outbox').findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        // Un envío que quedó a medias (p. ej. el proceso se reinició) se vuelve a intentar
+        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - SENDING_LOCK_MINUTES * 60 * 1000) } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now } },
+    { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+  );
+}
+
+// Envía un lote de correos pendientes desde from (config.email.from)
+async function processEmailOutbox({ db, transport, from }) {
+  const outboxCollection = db.collection('email_outbox');
+  const summary = { sent: 0, retried: 0, failed: 0 };
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const email = await claimNextEmail(db);
+    if (!email) break;
+    const attempts = email.attempts + 1;
+    try {
+      const { messageId } = await transport.send({ from, to: email.to, subject: email.subject, text: email.text, html: email.html });
+      await outboxCollection.updateOne(
+        { _id: email._id },
+        { $set: { status: 'sent', attempts, sentAt: new Date(), messageId, transport: transport.name, lastError: null }, $unset: { lockedAt: '' } }
+      );
+      summary.sent++;
+    } catch (error) {
+      const giveUp = attempts >= MAX_ATTEMPTS;
+      console.error(`Error enviando email ${email._id} (${email.template}) a ${email.to}, intento ${attempts}:`, error.message || error);
+      await outboxCollection.updateOne(
+        { _id: email._id },
+        {
+          $set: {
+            status: giveUp ? 'failed' : 'pending',
+            attempts,
+            lastError: error.message || String(error),
+            nextAttemptAt: new Date(Date.now() + retryDelayMs(attempts))
+          },
+          $unset: { lockedAt: '' }
+        }
+      );
+      if (giveUp) summary.failed++;
+      else summary.retried++;
+    }
+  }
+  return summary;
+}
+
+async function ensureEmailOutboxIndexes(db) {
+  await db.collection('email_outbox').createIndex({ status: 1, nextAttemptAt: 1 });
+}
+
+// Ejecuta el worker del outbox periódicamente. Devuelve una función para detenerlo, que a su vez
+// devuelve una promesa que se resuelve cuando termina la vuelta en curso (si la hay).
+function startEmailOutboxWorker(deps, { intervalSeconds }) {
+  let currentTick = null;
+  const runTick = async () => {
+    try {
+      const summary = await processEmailOutbox(deps);
+      if (summary.sent || summary.retried || summary.failed) console.log('Outbox de emails:', summary);
+    } catch (error) {
+      console.error('Error procesando outbox de emails:', error);
+    }
+  };
+  const tick = () => {
+    if (currentTick) return;
+    currentTick = runTick().finally(() => { currentTick = null; });
+  };
+  const timer = setInterval(tick, intervalSeconds * 1000);
+  timer.unref();
+  tick();
+  console.log(`Worker de emails activo (transporte: ${deps.transport.name}, cada ${intervalSeconds} s).`);
+  return () => {
+    clearInterval(timer);
+    return currentTick || Promise.resolve();
+  };
+}
+
+module.exports = {
+  enqueueEmail,
+  enqueueOrderEmail,
+  sendOrderConfirmationEmail,
+  processEmailOutbox,
+  ensureEmailOutboxIndexes,
+  startEmailOutboxWorker
+};
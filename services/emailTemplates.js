@@ -0,0 +1,119 @@
+const { formatMXN, escapeHtml } = require('../utils/formatters');
+
+const layout = (title, bodyHtml) => `<!DOCTYPE html>
+<html lang="es">
+<body style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #2e7d32;">${escapeHtml(title)}</h2>
+  ${bodyHtml}
+  <p style="font-size: 12px; color: #888;">Vitafer México · Este es un correo automático, por favor no respondas a este mensaje.</p>
+</body>
+</html>`;
+
+const itemsTableHtml = (order) => `
+  <table style="width: 100%; border-collapse: collapse;">
+    ${(order.items || []).map(item => `
+    <tr>
+      <td style="padding: 4px 0;">${escapeHtml(item.name)}${item.presentation ? ` (${escapeHtml(item.presentation)})` : ''} × ${item.quantity}</td>
+      <td style="padding: 4px 0; text-align: right;">${formatMXN(item.totalItemPrice)}</td>
+    </tr>`).join('')}
+    ${order.discount ? `
+    <tr>
+      <td style="padding: 4px 0;">Descuento (${escapeHtml(order.discount.code)})</td>
+      <td style="padding: 4px 0; text-align: right;">-${formatMXN(order.discount.amount)}</td>
+    </tr>` : ''}
+    ${order.shippingDetails?.methodId ? `
+    <tr>
+      <td style="padding: 4px 0;">Envío (${escapeHtml(order.shippingDetails.method)})</td>
+      <td style="padding: 4px 0; text-align: right;">${order.shippingDetails.cost > 0 ? formatMXN(order.shippingDetails.cost) : 'Gratis'}</td>
+    </tr>` : ''}
+    <tr>
+      <td style="padding: 8px 0; font-weight: bold;">Total</td>
+      <td style="padding: 8px 0; text-align: right; font-weight: bold;">${formatMXN(order.totalAmount)}</td>
+    </tr>
+  </table>`;
+
+const itemsText = (order) => [
+  ...(order.items || []).map(item => `- ${item.name}${item.presentation ? ` (${item.presentation})` : ''} x ${item.quantity}: ${formatMXN(item.totalItemPrice)}`),
+  ...(order.discount ? [`- Descuento (${order.discount.code}): -${formatMXN(order.discount.amount)}`] : []),
+  ...(order.shippingDetails?.methodId
+    ? [`- Envío (${order.shippingDetails.method}): ${order.shippingDetails.cost > 0 ? formatMXN(order.shippingDetails.cost) : 'Gratis'}`]
+    : []),
+  `Total: ${formatMXN(order.totalAmount)}`
+].join('\n');
+
+const orderNumber = (order) => order._id.toString().slice(-8).toUpperCase();
+const customerName = (order) => order.customerDetails?.name || 'cliente';
+
+// Cada plantilla recibe { order, ...extra } y devuelve { subject, text, html }
+const TEMPLATES = {
+  order_paid: ({ order }) => ({
+    subject: `¡Gracias por tu compra! Pedido #${orderNumber(order)} confirmado`,
+    text: `Hola ${customerName(order)},\n\nRecibimos tu pago y ya estamos preparando tu pedido #${orderNumber(order)}.\n\n${itemsText(order)}\n\nTe avisaremos cuando tu pedido sea enviado.`,
+    html: layout('¡Gracias por tu compra!', `
+      <p>Hola ${escapeHtml(customerName(order))},</p>
+      <p>Recibimos tu pago y ya estamos preparando tu pedido <strong>#${orderNumber(order)}</strong>.</p>
+      ${itemsTableHtml(order)}
+      <p>Te avisaremos cuando tu pedido sea enviado.</p>`)
+  }),
+
+  order_shipped: ({ order, trackingNumber, carrier }) => ({
+    subject: `Tu pedido #${orderNumber(order)} va en camino`,
+    text: `Hola ${customerName(order)},\n\nTu pedido #${orderNumber(order)} fue enviado.${carrier ? `\nPaquetería: ${carrier}` : ''}${trackingNumber ? `\nNúmero de guía: ${trackingNumber}` : ''}\n\n${itemsText(order)}`,
+    html: layout('Tu pedido va en camino', `
+      <p>Hola ${escapeHtml(customerName(order))},</p>
+      <p>Tu pedido <strong>#${orderNumber(order)}</strong> fue enviado.</p>
+      ${carrier ? `<p>Paquetería: <strong>${escapeHtml(carrier)}</strong></p>` : ''}
+      ${trackingNumber ? `<p>Número de guía: <strong>${escapeHtml(trackingNumber)}</strong></p>` : '<p>En breve te compartiremos el número de guía.</p>'}
+      ${itemsTableHtml(order)}`)
+  }),
+
+  // frontendUrl: config.frontendUrl, la tienda a la que se invita a volver
+  payment_failed: ({ order, frontendUrl }) => ({
+    subject: `No pudimos procesar el pago de tu pedido #${orderNumber(order)}`,
+    text: `Hola ${customerName(order)},\n\nEl pago de tu pedido #${orderNumber(order)} no fue aprobado, por lo que no se realizó ningún cargo.\n\nPuedes intentarlo de nuevo en ${frontendUrl}.`,
+    html: layout('No pudimos procesar tu pago', `
+      <p>Hola ${escapeHtml(customerName(order))},</p>
+      <p>El pago de tu pedido <strong>#${orderNumber(order)}</strong> no fue aprobado, por lo que no se realizó ningún cargo.</p>
+      ${itemsTableHtml(order)}
+      <p><a href="${escapeHtml(frontendUrl)}">Intentar de nuevo</a></p>`)
+  }),
+
+  order_expired: ({ order, frontendUrl }) => ({
+    subject: `Tu pedido #${orderNumber(order)} expiró`,
+    text: `Hola ${customerName(order)},\n\nNo recibimos el pago de tu pedido #${orderNumber(order)} a tiempo, así que lo cancelamos y liberamos los productos reservados.\n\nSi aún los quieres, puedes hacer un nuevo pedido en ${frontendUrl}.`,
+    html: layout('Tu pedido expiró', `
+      <p>Hola ${escapeHtml(customerName(order))},</p>
+      <p>No recibimos el pago de tu pedido <strong>#${orderNumber(order)}</strong> a tiempo, así que lo cancelamos y liberamos los productos reservados.</p>
+      ${itemsTableHtml(order)}
+      <p><a href="${escapeHtml(frontendUrl)}">Hacer un nuevo pedido</a></p>`)
+  }),
+
+  order_lookup_code: ({ code, ttlMinutes }) => ({
+    subject: `Tu código para consultar tus pedidos: ${code}`,
+    text: `Tu código de verificación es ${code}. Vence en ${ttlMinutes} minutos.\n\nSi no lo solicitaste, ignora este correo.`,
+    html: layout('Consulta tus pedidos', `
+      <p>Tu código de verificación es:</p>
+      <p style="font-size: 28px; letter-spacing: 4px; font-weight: bold;">${escapeHtml(code)}</p>
+      <p>Vence en ${ttlMinutes} minutos. Si no lo solicitaste, ignora este correo.</p>`)
+  }),
+
+  // Aviso interno para el equipo de inventario
+  low_stock: ({ product, stock, threshold }) => ({
+    subject: `Stock bajo: ${product.name || product.productId} (${stock} unidades)`,
+    text: `El producto ${product.name || product.productId}${product.presentation ? ` (${product.presentation})` : ''} [${product.productId}] llegó a ${stock} unidades; el umbral de stock bajo es ${threshold}.\n\nPlanea su reabastecimiento antes de que se agote.`,
+    html: layout('Stock bajo', `
+      <p>El producto <strong>${escapeHtml(product.name || product.productId)}</strong>${product.presentation ? ` (${escapeHtml(product.presentation)})` : ''} [${escapeHtml(product.productId)}] llegó a <strong>${stock}</strong> unidades.</p>
+      <p>El umbral de stock bajo es ${threshold}. Planea su reabastecimiento antes de que se agote.</p>`)
+  })
+};
+
+function renderEmail(template, data) {
+  const render = TEMPLATES[template];
+  if (!render) throw new Error(`Plantilla de email desconocida: ${template}`);
+  return render(data);
+}
+
+module.exports = {
+  EMAIL_TEMPLATES: Object.keys(TEMPLATES),
+  renderEmail
+};
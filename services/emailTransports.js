@@ -0,0 +1,81 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+// Un transporte es cualquier objeto { name, send({ from, to, subject, text, html }) } que
+// resuelve con { messageId } o lanza si el envío falló.
+
+function createSmtpTransport({ host, port, secure, user, pass }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+// Escribe cada correo como JSON en un directorio; útil en desarrollo para revisar lo que se enviaría
+function createFileTransport({ directory }) {
+  return {
+    name: 'file',
+    directory,
+    async send(message) {
+      await fs.mkdir(directory, { recursive: true });
+      const messageId = `${Date.now()}-${crypto.randomUUID()}`;
+      await fs.writeFile(path.join(directory, `${messageId}.json`), JSON.stringify({ messageId, ...message, sentAt: new Date() }, null, 2));
+      return { messageId };
+    }
+  };
+}
+
+// Guarda los correos en memoria; pensado para pruebas
+function createMemoryTransport() {
+  const sent = [];
+  return {
+    name: 'memory',
+    sent,
+    async send(message) {
+      const messageId = crypto.randomUUID();
+      sent.push({ messageId, ...message, sentAt: new Date() });
+      return { messageId };
+    }
+  };
+}
+
+// EMAIL_TRANSPORT=smtp|file|memory. Sin configurar se usa SMTP si hay SMTP_HOST y archivo en otro caso.
+function createEmailTransportFromEnv(env = process.env) {
+  const transportName = env.EMAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'file');
+  switch (transportName) {
+    case 'smtp':
+      if (!env.SMTP_HOST) throw new Error('EMAIL_TRANSPORT=smtp requiere SMTP_HOST');
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT, 10) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS
+      });
+    case 'file':
+      return createFileTransport({ directory: env.EMAIL_OUTPUT_DIR || path.join(os.tmpdir(), 'vitafer-emails') });
+    case 'memory':
+      return createMemoryTransport();
+    default:
+      throw new Error(`Transporte de email desconocido: ${transportName}`);
+  }
+}
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport,
+  createEmailTransportFromEnv
+};
@@ -0,0 +1,215 @@
+const { evaluateLowStock } = require('./stockAlertService');
+
+// --- Inventario y su bitácora de movimientos ---
+// Todo cambio de stock en 'products' pasa por applyStockMovement, que deja un registro en
+// 'inventory_movements' con el tipo, la orden o usuario que lo originó y el stock antes/después,
+// y revisa si el producto cruzó su umbral de stock bajo. Por eso todas reciben stockAlerts
+// (config.stockAlerts de loadConfig), que se pasa tal cual a evaluateLowStock.
+
+const MOVEMENT_TYPES = {
+  SALE_RESERVATION: 'sale_reservation',
+  RESERVATION_RELEASE: 'reservation_release',
+  RESTOCK: 'restock',
+  MANUAL_ADJUSTMENT: 'manual_adjustment',
+  REFUND_RETURN: 'refund_return'
+};
+
+// Aplica un $inc de stock y registra el movimiento. Con un delta negativo solo descuenta si alcanza
+// el stock; en ese caso devuelve null sin registrar nada. Debe recibir la sesión de la transacción
+// que origina el cambio para que stock y bitácora se confirmen (o aborten) juntos.
+async function applyStockMovement(db, { productId, delta, type, orderId = null, actor, reason = null, stockAlerts, session }) {
+  const filter = delta < 0 ? { productId, stock: { $gte: -delta } } : { productId };
+  const product = await db.collection('products').findOneAndUpdate(
+    filter,
+    { $inc: { stock: delta } },
+    { session, returnDocument: 'after' }
+  );
+  if (!product) return null;
+  const movement = {
+    productId,
+    type,
+    quantity: delta,
+    stockBefore: product.stock - delta,
+    stockAfter: product.stock,
+    orderId,
+    actor,
+    reason,
+    createdAt: new Date()
+  };
+  await db.collection('inventory_movements').insertOne(movement, { session });
+  await evaluateLowStock(db, product, movement, { stockAlerts, session });
+  return movement;
+}
+
+// Fija el stock a un valor absoluto (conteo físico) y registra la diferencia como ajuste manual.
+// Devuelve null si el producto no existe en el catálogo.
+async function setStockLevel(db, { productId, newStock, actor, reason = null, stockAlerts, session }) {
+  const before = await db.collection('products').findOneAndUpdate(
+    { productId },
+    { $set: { stock: newStock } },
+    { session, returnDocument: 'before' }
+  );
+  if (!before) return null;
+  const stockBefore = before?.stock || 0;
+  const movement = {
+    productId,
+    type: MOVEMENT_TYPES.MANUAL_ADJUSTMENT,
+    quantity: newStock - stockBefore,
+    stockBefore,
+    stockAfter: newStock,
+    orderId: null,
+    actor,
+    reason,
+    createdAt: new Date()
+  };
+  await db.collection('inventory_movements').insertOne(movement, { session });
+  await evaluateLowStock(db, before, movement, { stockAlerts, session });
+  return movement;
+}
+
+// Devuelve a 'products' las unidades de una orden. Debe llamarse dentro de la misma transacción
+// que cambia el estado de la orden, para que el cambio de estado sea la guarda contra doble reposición.
+async function restoreOrderStock(db, order, { session, actor, reason, stockAlerts }) {
+  for (const item of order.items) {
+    if (!item.productId) {
+      console.error(`Falta productId en item de orden ${order._id} para revertir stock.`);
+      continue; // Salta este item pero continúa con otros si es posible
+    }
+    const movement = await applyStockMovement(db, {
+      productId: item.productId,
+      delta: item.quantity,
+      type: MOVEMENT_TYPES.RESERVATION_RELEASE,
+      orderId: order._id,
+      actor,
+      reason,
+      stockAlerts,
+      session
+    });
+    if (!movement) {
+      console.error(`Producto ${item.productId} no existe en inventario; no se revirtió stock de la orden ${order._id}.`);
+      continue;
+    }
+    console.log(`Stock (${reason}) revertido para ${item.productId}: ${item.quantity} unidades.`);
+  }
+}
+
+// Vuelve a descontar el stock de una orden cuya reserva ya se había liberado (p. ej. una orden
+// expirada que MercadoPago aprueba tarde). Devuelve false, sin tocar nada, si algún producto no alcanza.
+async function reserveOrderStock(db, order, { session, actor, reason, stockAlerts }) {
+  const inventoryCollection = db.collection('products');
+  for (const item of order.items) {
+    const product = await inventoryCollection.findOne({ productId: item.productId }, { session });
+    if (!product || product.stock < item.quantity) return false;
+  }
+  for (const item of order.items) {
+    const movement = await applyStockMovement(db, {
+      productId: item.productId,
+      delta: -item.quantity,
+      type: MOVEMENT_TYPES.SALE_RESERVATION,
+      orderId: order._id,
+      actor,
+      reason,
+      stockAlerts,
+      session
+    });
+    // Otro proceso cambió el stock entre la verificación y el descuento: se aborta para que la transacción reintente
+    if (!movement) throw new Error(`Conflicto al volver a reservar stock para ${item.productId}`);
+  }
+  return true;
+}
+
+// Unidades vendidas que todavía no se han devuelto a inventario (cancelaciones y devoluciones)
+const pendingRestockItems = (order) => order.items
+  .map(item => ({ productId: item.productId, quantity: item.quantity - (item.restockedQuantity || 0) }))
+  .filter(item => item.productId && item.quantity > 0);
+
+// Devuelve a inventario unidades de una orden ya pagada y lo anota en items.restockedQuantity,
+// para que la misma unidad no se reponga dos veces. items: [{ productId, quantity }]
+// Primero se aparta la reposición en la orden (solo si restockedQuantity + quantity <= quantity vendida);
+// si otro proceso ya repuso esas unidades, el item se omite. Devuelve los items realmente repuestos.
+async function restockOrderItems(db, order, items, { session, actor, reason, stockAlerts }) {
+  const ordersCollection = db.collection('orders');
+  const restocked = [];
+  for (const { productId, quantity } of items) {
+    if (!productId || quantity <= 0) continue;
+    const soldQuantity = order.items.find(item => item.productId === productId)?.quantity || 0;
+    const claim = await ordersCollection.updateOne(
+      {
+        _id: order._id,
+        items: { $elemMatch: { productId, $or: [{ restockedQuantity: null }, { restockedQuantity: { $lte: soldQuantity - quantity } }] } }
+      },
+      { $inc: { 'items.$.restockedQuantity': quantity } },
+      { session }
+    );
+    if (claim.modifiedCount === 0) {
+      console.warn(`Stock (${reason}) NO repuesto para ${productId}: la orden ${order._id} ya tiene repuestas esas unidades.`);
+      continue;
+    }
+    await applyStockMovement(db, {
+      productId,
+      delta: quantity,
+      type: MOVEMENT_TYPES.REFUND_RETURN,
+      orderId: order._id,
+      actor,
+      reason,
+      stockAlerts,
+      session
+    });
+    restocked.push({ productId, quantity });
+    console.log(`Stock (${reason}) repuesto para ${productId}: ${quantity} unidades de la orden ${order._id}.`);
+  }
+  return restocked;
+}
+
+// Compara el stock actual con lo que explica la bitácora: el stock inicial del primer movimiento más
+// la suma de todos los movimientos. También señala cortes en la cadena (stockBefore distinto del
+// stockAfter anterior), que indican cambios hechos fuera de la bitácora.
+async function reconcileProductStock(db, productId) {
+  const product = await db.collection('products').findOne({ productId }, { projection: { stock: 1 } });
+  if (!product) return null;
+  const movements = await db.collection('inventory_movements')
+    .find({ productId }, { projection: { quantity: 1, stockBefore: 1, stockAfter: 1, createdAt: 1, type: 1 } })
+    .sort({ createdAt: 1, _id: 1 })
+    .toArray();
+  if (movements.length === 0) {
+    return { productId, currentStock: product.stock, ledgerStock: null, difference: null, movementCount: 0, chainBreaks: [] };
+  }
+  const chainBreaks = [];
+  for (let i = 1; i < movements.length; i++) {
+    if (movements[i].stockBefore !== movements[i - 1].stockAfter) {
+      chainBreaks.push({
+        movementId: movements[i]._id,
+        at: movements[i].createdAt,
+        expectedStockBefore: movements[i - 1].stockAfter,
+        recordedStockBefore: movements[i].stockBefore
+      });
+    }
+  }
+  const ledgerStock = movements[0].stockBefore + movements.reduce((sum, movement) => sum + movement.quantity, 0);
+  return {
+    productId,
+    currentStock: product.stock,
+    ledgerStock,
+    difference: product.stock - ledgerStock,
+    lastRecordedStock: movements[movements.length - 1].stockAfter,
+    movementCount: movements.length,
+    chainBreaks
+  };
+}
+
+async function ensureInventoryIndexes(db) {
+  await db.collection('inventory_movements').createIndex({ productId: 1, createdAt: -1 });
+  await db.collection('inventory_movements').createIndex({ orderId: 1 });
+}
+
+module.exports = {
+  MOVEMENT_TYPES,
+  applyStockMovement,
+  setStockLevel,
+  restoreOrderStock,
+  reserveOrderStock,
+  pendingRestockItems,
+  restockOrderItems,
+  reconcileProductStock,
+  ensureInventoryIndexes
+};
@@ -0,0 +1,109 @@
+const { restoreOrderStock } = require('./inventoryService');
+const { transitionOrder } = require('./orderLifecycle');
+const { enqueueOrderEmail } = require('./emailService');
+const { releaseCouponRedemption } = require('./couponService');
+
+const SWEEP_BATCH_SIZE = 50;
+
+// Estados de MP en los que el pago ya se cobró o todavía puede cobrarse (p. ej. un ticket de OXXO sin pagar)
+const LIVE_PAYMENT_STATUSES = ['approved', 'authorized', 'in_process', 'pending', 'in_mediation'];
+
+async function findLivePayment(payment, orderId) {
+  const searchResult = await payment.search({ options: { external_reference: orderId } });
+  return (searchResult.results || []).find(p => LIVE_PAYMENT_STATUSES.includes(p.status)) || null;
+}
+
+// Marca la orden como 'expired' y devuelve su stock en una sola transacción.
+// La transición condicionada a 'pending_payment' es la misma guarda del webhook: solo quien
+// logra sacar la orden de ese estado repone el stock, así nunca se devuelve dos veces.
+async function expireOrder({ db, mongoClient, orderId, frontendUrl, stockAlerts, ttlMinutes }) {
+  const session = mongoClient.startSession();
+  let expired = false;
+  try {
+    await session.withTransaction(async (currentSession) => {
+      expired = false;
+      const ordersCollection = db.collection('orders');
+      const order = await ordersCollection.findOne({ _id: orderId, status: 'pending_payment' }, { session: currentSession });
+      if (!order) return; // El webhook ya cambió el estado de la orden
+      const changed = await transitionOrder(db, order, 'expired', {
+        actor: 'system',
+        reason: `Reserva de stock vencida (${ttlMinutes} min) sin pago`,
+        set: { expiredAt: new Date() },
+        session: currentSession
+      });
+      if (!changed) return;
+      await restoreOrderStock(db, order, { session: currentSession, actor: 'system', reason: 'Expiración de reserva', stockAlerts });
+      await releaseCouponRedemption(db, order, { reason: 'Expiración de reserva', session: currentSession });
+      await enqueueOrderEmail(db, order, 'order_expired', { frontendUrl }, { session: currentSession });
+      expired = true;
+    });
+  } finally {
+    await session.endSession();
+  }
+  return expired;
+}
+
+// ttlMinutes: config.orderExpiry.reservationTtlMinutes; stockAlerts: config.stockAlerts
+async function expireStaleOrders({ db, mongoClient, payment, frontendUrl, stockAlerts, ttlMinutes }) {
+  const cutoff = new Date(Date.now() - ttlMinutes * 60 * 1000);
+  const staleOrders = await db.collection('orders')
+    .find({ status: 'pending_payment', createdAt: { $lt: cutoff } }, { projection: { _id: 1 } })
+    .sort({ createdAt: 1 })
+    .limit(SWEEP_BATCH_SIZE)
+    .toArray();
+
+  const summary = { checked: staleOrders.length, expired: 0, skipped: 0, errors: 0 };
+  for (const { _id } of staleOrders) {
+    try {
+      const livePayment = await findLivePayment(payment, _id.toString());
+      if (livePayment) {
+        console.log(`Orden ${_id} no se expira: pago ${livePayment.id} en MercadoPago con estado '${livePayment.status}'.`);
+        summary.skipped++;
+        continue;
+      }
+      if (await expireOrder({ db, mongoClient, orderId: _id, frontendUrl, stockAlerts, ttlMinutes })) {
+        console.log(`Orden ${_id} marcada como 'expired' y stock liberado.`);
+        summary.expired++;
+      } else {
+        summary.skipped++;
+      }
+    } catch (error) {
+      console.error(`Error expirando orden ${_id}:`, error.message || error);
+      summary.errors++;
+    }
+  }
+  return summary;
+}
+
+// Ejecuta el barrido periódicamente. Devuelve una función para detenerlo, que a su vez devuelve una
+// promesa que se resuelve cuando termina el barrido en curso (si lo hay); así el apagado no cierra
+// MongoDB a media transacción.
+function startOrderExpirySweeper(deps, { intervalMinutes }) {
+  let currentSweep = null;
+  const runSweep = async () => {
+    try {
+      const summary = await expireStaleOrders(deps);
+      if (summary.checked > 0) console.log('Barrido de órdenes pendientes:', summary);
+    } catch (error) {
+      console.error('Error en el barrido de órdenes pendientes:', error);
+    }
+  };
+  const sweep = () => {
+    if (currentSweep) return; // Evita barridos encimados si MercadoPago responde lento
+    currentSweep = runSweep().finally(() => { currentSweep = null; });
+  };
+  const timer = setInterval(sweep, intervalMinutes * 60 * 1000);
+  timer.unref();
+  sweep();
+  console.log(`Barrido de órdenes pendientes activo (TTL: ${deps.ttlMinutes} min, cada ${intervalMinutes} min).`);
+  return () => {
+    clearInterval(timer);
+    return currentSweep || Promise.resolve();
+  };
+}
+
+module.exports = {
+  findLivePayment,
+  expireStaleOrders,
+  startOrderExpirySweeper
+};
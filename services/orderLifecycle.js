@@ -0,0 +1,88 @@
+// --- Ciclo de vida de las órdenes ---
+// Único lugar donde se definen los estados y las transiciones permitidas. Todo cambio de estado
+// debe pasar por aquí para que quede registrado en statusHistory (quién, cuándo y por qué).
+
+const ORDER_STATUSES = [
+  'pending_payment',
+  'paid',
+  'preparing',
+  'shipped',
+  'delivered',
+  'failed',
+  'expired',
+  'cancelled',
+  'refunded'
+];
+
+const ORDER_TRANSITIONS = {
+  pending_payment: ['paid', 'failed', 'expired', 'cancelled'],
+  paid: ['preparing', 'shipped', 'cancelled', 'refunded'],
+  preparing: ['paid', 'shipped', 'cancelled', 'refunded'],
+  shipped: ['paid', 'delivered', 'refunded'], // 'paid' = despacho revertido
+  delivered: ['refunded'],
+  failed: ['paid'], // Reintento de pago aprobado sobre la misma preferencia
+  expired: ['paid'], // Pago aprobado después de liberar la reserva
+  cancelled: [],
+  refunded: []
+};
+
+class OrderTransitionError extends Error {
+  constructor(from, to) {
+    super(`No se puede cambiar la orden de '${from}' a '${to}'.`);
+    this.name = 'OrderTransitionError';
+    this.status = 409;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+function assertTransition(from, to) {
+  if (!canTransition(from, to)) throw new OrderTransitionError(from, to);
+}
+
+const buildHistoryEntry = ({ from, to, actor, reason = null, details = null, at = new Date() }) => ({
+  from,
+  to,
+  at,
+  by: actor,
+  reason,
+  ...(details ? { details } : {})
+});
+
+// Primera entrada del historial, al crear la orden
+const initialStatusHistory = (actor, reason = 'Orden creada') => [
+  buildHistoryEntry({ from: null, to: 'pending_payment', actor, reason })
+];
+
+// Update de MongoDB para un cambio de estado; quien llama puede agregar campos a $set y $push
+function statusChangeUpdate(from, to, { actor, reason, details, at = new Date() }) {
+  assertTransition(from, to);
+  return {
+    $set: { status: to, updatedAt: at },
+    $push: { statusHistory: buildHistoryEntry({ from, to, actor, reason, details, at }) }
+  };
+}
+
+// Aplica el cambio solo si la orden sigue en el estado leído; devuelve false si otro proceso se adelantó
+async function transitionOrder(db, order, to, { actor, reason, details, set = {}, push = {}, session } = {}) {
+  const change = statusChangeUpdate(order.status, to, { actor, reason, details });
+  const result = await db.collection('orders').updateOne(
+    { _id: order._id, status: order.status },
+    { $set: { ...change.$set, ...set }, $push: { ...change.$push, ...push } },
+    { session }
+  );
+  return result.modifiedCount > 0;
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  OrderTransitionError,
+  canTransition,
+  assertTransition,
+  initialStatusHistory,
+  statusChangeUpdate,
+  transitionOrder
+};
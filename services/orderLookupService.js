@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const LOOKUP_TOKEN_AUDIENCE = 'order-lookup';
+const LOOKUP_CODE_TTL_MINUTES = 10;
+const LOOKUP_CODE_MAX_ATTEMPTS = 5;
+const LOOKUP_CODE_RESEND_SECONDS = 60;
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+const hashCode = (email, code) => crypto.createHash('sha256').update(`${email}:${code}`).digest('hex');
+
+// --- Token firmado de consulta de una orden (se entrega al cliente al hacer checkout) ---
+// authConfig: config.auth de loadConfig ({ jwtSecret, orderLookupTokenTtl })
+const createOrderLookupToken = (orderId, authConfig) => jwt.sign(
+  { oid: orderId.toString() },
+  authConfig.jwtSecret,
+  { audience: LOOKUP_TOKEN_AUDIENCE, expiresIn: authConfig.orderLookupTokenTtl }
+);
+
+function verifyOrderLookupToken(token, orderId, authConfig) {
+  try {
+    const payload = jwt.verify(token, authConfig.jwtSecret, { audience: LOOKUP_TOKEN_AUDIENCE });
+    return payload.oid === orderId.toString();
+  } catch (error) {
+    return false;
+  }
+}
+
+const orderBelongsToEmail = (order, email) => {
+  const normalized = normalizeEmail(email);
+  return normalized !== '' && normalizeEmail(order.customerDetails?.email) === normalized;
+};
+
+// Solo campos seguros para mostrarle al cliente: nada de datos internos del back office
+const toPublicOrder = (order) => ({
+  orderId: order._id.toString(),
+  status: order.status,
+  createdAt: order.createdAt,
+  items: (order.items || []).map(({ productId, name, presentation, quantity, unitPrice, totalItemPrice }) => ({
+    productId, name, presentation, quantity, unitPrice, totalItemPrice
+  })),
+  subtotalAmount: order.subtotalAmount ?? order.totalAmount,
+  discount: order.discount ? { code: order.discount.code, amount: order.discount.amount } : null,
+  totalAmount: order.totalAmount,
+  refundedAmount: order.refundedAmount || 0,
+  payment: {
+    status: order.paymentDetails?.paymentStatus || null,
+    paidAt: order.paymentDetails?.paidAt || null
+  },
+  shipping: {
+    method: order.shippingDetails?.method || null,
+    carrier: order.shippingDetails?.carrier || null,
+    cost: order.shippingDetails?.cost || 0,
+    estimatedDays: order.shippingDetails?.estimatedDays || null,
+    trackingNumber: order.shippingDetails?.trackingNumber || null,
+    shippedAt: order.shippedAt || null,
+    deliveredAt: order.deliveredAt || null
+  },
+  timeline: (order.statusHistory || []).map(({ to, at }) => ({ status: to, at }))
+});
+
+// --- "Encontrar mis órdenes": código de un solo uso enviado al correo ---
+// Devuelve el código generado (para enviarlo) o null si no aplica; la respuesta al cliente
+// debe ser la misma en ambos casos para no revelar qué correos tienen órdenes.
+async function requestLookupCode(db, email) {
+  const normalized = normalizeEmail(email);
+  const codesCollection = db.collection('order_lookup_codes');
+  const recentCode = await codesCollection.findOne({
+    email: normalized,
+    createdAt: { $gt: new Date(Date.now() - LOOKUP_CODE_RESEND_SECONDS * 1000) }
+  });
+  if (recentCode) return null;
+
+  const hasOrders = await db.collection('orders').countDocuments(
+    { 'customerDetails.email': normalized },
+    { limit: 1 }
+  );
+  if (!hasOrders) return null;
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const now = new Date();
+  await codesCollection.deleteMany({ email: normalized });
+  await codesCollection.insertOne({
+    email: normalized,
+    codeHash: hashCode(normalized, code),
+    attempts: 0,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + LOOKUP_CODE_TTL_MINUTES * 60 * 1000)
+  });
+  return code;
+}
+
+// Valida y consume el código; devuelve true solo una vez por código
+async function verifyLookupCode(db, email, code) {
+  const normalized = normalizeEmail(email);
+  if (!normalized || typeof code !== 'string') return false;
+  const codesCollection = db.collection('order_lookup_codes');
+  const lookupCode = await codesCollection.findOneAndUpdate(
+    { email: normalized, expiresAt: { $gt: new Date() }, attempts: { $lt: LOOKUP_CODE_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { returnDocument: 'after' }
+  );
+  if (!lookupCode || lookupCode.codeHash !== hashCode(normalized, code.trim())) return false;
+  const consumed = await codesCollection.deleteOne({ _id: lookupCode._id });
+  return consumed.deletedCount === 1;
+}
+
+async function findOrdersByEmail(db, email, authConfig) {
+  const orders = await db.collection('orders')
+    .find({ 'customerDetails.email': normalizeEmail(email) })
+    .sort({ createdAt: -1 })
+    .limit(50)
+    .toArray();
+  return orders.map(order => ({ ...toPublicOrder(order), lookupToken: createOrderLookupToken(order._id, authConfig) }));
+}
+
+async function ensureOrderLookupIndexes(db) {
+  // MongoDB borra los códigos vencidos por su cuenta
+  await db.collection('order_lookup_codes').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await db.collection('order_lookup_codes').createIndex({ email: 1 });
+}
+
+module.exports = {
+  LOOKUP_CODE_TTL_MINUTES,
+  createOrderLookupToken,
+  verifyOrderLookupToken,
+  orderBelongsToEmail,
+  toPublicOrder,
+  requestLookupCode,
+  verifyLookupCode,
+  findOrdersByEmail,
+  ensureOrderLookupIndexes
+};
@@ -0,0 +1,146 @@
+const { ObjectId, BSON } = require('mongodb');
+const { ORDER_STATUSES } = require('./orderLifecycle');
+const { parseDateRange } = require('../utils/queryParams');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Columnas por las que el despachador puede ordenar (?sort=campo&order=asc|desc)
+const SORTABLE_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  shippedAt: 'shippedAt',
+  totalAmount: 'totalAmount',
+  status: 'status',
+  customerName: 'customerDetails.name'
+};
+
+class OrderQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OrderQueryError';
+    this.status = 400;
+  }
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// El cursor lleva el valor de la columna de orden y el _id del último elemento de la página.
+// EJSON conserva los tipos (Date, ObjectId) al ida y vuelta.
+const encodeCursor = (order, field) => Buffer.from(BSON.EJSON.stringify({
+  v: field.split('.').reduce((value, key) => value?.[key], order) ?? null,
+  id: order._id
+})).toString('base64url');
+
+// El cursor lo manda el cliente: v se usa tal cual en un $gt/$lt, así que solo se aceptan escalares.
+// Un objeto como { "$ne": null } cambiaría el sentido de la consulta.
+const isCursorValue = (value) => value === null
+  || typeof value === 'string'
+  || (typeof value === 'number' && Number.isFinite(value))
+  || (value instanceof Date && !Number.isNaN(value.getTime()));
+
+function decodeCursor(cursor) {
+  try {
+    const { v, id } = BSON.EJSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!(id instanceof ObjectId)) throw new Error('cursor sin _id');
+    if (!isCursorValue(v)) throw new Error('valor de cursor no escalar');
+    return { value: v, id };
+  } catch (error) {
+    throw new OrderQueryError('Cursor de paginación inválido');
+  }
+}
+
+// Condición "después del cursor" para un orden (campo, _id). En MongoDB null/ausente ordena como el menor valor.
+function afterCursorCondition(field, direction, { value, id }) {
+  const idCondition = { _id: direction === 1 ? { $gt: id } : { $lt: id } };
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, ...idCondition }, { [field]: { $ne: null } }] }
+      : { [field]: null, ...idCondition };
+  }
+  const valueCondition = direction === 1 ? { $gt: value } : { $lt: value };
+  const orConditions = [{ [field]: valueCondition }, { [field]: value, ...idCondition }];
+  // En orden descendente los null quedan al final
+  if (direction === -1) orConditions.push({ [field]: null });
+  return { $or: orConditions };
+}
+
+// Construye $match, $sort y tamaño de página a partir de los query params del listado de órdenes
+async function buildOrdersQuery(db, query) {
+  const conditions = [];
+
+  if (query.status) {
+    const statuses = String(query.status).split(',').map(status => status.trim()).filter(Boolean);
+    const invalid = statuses.filter(status => !ORDER_STATUSES.includes(status));
+    if (invalid.length > 0) throw new OrderQueryError(`Estado(s) inválido(s): ${invalid.join(', ')}`);
+    conditions.push({ status: { $in: statuses } });
+  }
+
+  const { range, error } = parseDateRange(query);
+  if (error) throw new OrderQueryError(error);
+  if (range.from || range.to) {
+    conditions.push({ createdAt: { ...(range.from && { $gte: range.from }), ...(range.to && { $lt: range.to }) } });
+  }
+
+  if (query.employeeId) {
+    if (!ObjectId.isValid(query.employeeId)) throw new OrderQueryError('ID de empleado inválido');
+    const employee = await db.collection('employees').findOne({ _id: new ObjectId(query.employeeId) }, { projection: { referralCode: 1 } });
+    // Las órdenes guardan el código; así también se incluyen las anteriores a referralEmployeeId
+    conditions.push({ referralCode: employee?.referralCode ?? '__sin_empleado__' });
+  }
+  if (query.referralCode) conditions.push({ referralCode: String(query.referralCode) });
+  if (query.productId) conditions.push({ 'items.productId': String(query.productId) });
+  // ?needsReview=true: órdenes que el webhook marcó para revisión manual (sin stock o cobradas tras cancelarse)
+  if (query.needsReview === 'true') {
+    conditions.push({ $or: [{ stockConflict: true }, { paymentConflict: { $ne: null }, 'paymentConflict.resolvedAt': null }] });
+  }
+
+  if (query.q) {
+    const pattern = { $regex: escapeRegex(String(query.q).trim()), $options: 'i' };
+    conditions.push({ $or: [{ 'customerDetails.name': pattern }, { 'customerDetails.email': pattern }, { 'customerDetails.phone': pattern }] });
+  }
+
+  const sortKey = query.sort || 'createdAt';
+  const field = SORTABLE_FIELDS[sortKey];
+  if (!field) throw new OrderQueryError(`No se puede ordenar por '${sortKey}'. Opciones: ${Object.keys(SORTABLE_FIELDS).join(', ')}`);
+  const direction = query.order === 'asc' ? 1 : -1;
+
+  if (query.cursor) conditions.push(afterCursorCondition(field, direction, decodeCursor(String(query.cursor))));
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return {
+    match: conditions.length > 0 ? { $and: conditions } : {},
+    sort: { [field]: direction, _id: direction },
+    limit,
+    sortField: field
+  };
+}
+
+// Recorta la página pedida y calcula el cursor siguiente (se consulta limit + 1 para saber si hay más)
+function paginate(orders, { limit, sortField }) {
+  const hasMore = orders.length > limit;
+  const page = hasMore ? orders.slice(0, limit) : orders;
+  return {
+    orders: page,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortField) : null
+  };
+}
+
+async function ensureOrderIndexes(db) {
+  const ordersCollection = db.collection('orders');
+  await ordersCollection.createIndex({ status: 1, createdAt: -1, _id: -1 });
+  await ordersCollection.createIndex({ createdAt: -1, _id: -1 });
+  await ordersCollection.createIndex({ shippedAt: -1, _id: -1 });
+  await ordersCollection.createIndex({ referralCode: 1, createdAt: -1 });
+  await ordersCollection.createIndex({ 'items.productId': 1, createdAt: -1 });
+  await ordersCollection.createIndex({ 'customerDetails.email': 1 });
+}
+
+module.exports = {
+  SORTABLE_FIELDS,
+  OrderQueryError,
+  buildOrdersQuery,
+  paginate,
+  ensureOrderIndexes
+};
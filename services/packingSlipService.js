@@ -0,0 +1,132 @@
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+const { MX_STATES } = require('./shippingService');
+const { formatDate } = require('../utils/formatters');
+
+// --- Listas de empaque en PDF ---
+// Una página por orden con el contenido a surtir, el domicilio de entrega y el ID de la orden
+// como código de barras (Code 128) y QR para escanearlo al despachar.
+
+const PACKABLE_STATUSES = ['paid', 'preparing'];
+const MAX_BATCH_SIZE = 100;
+const PAGE_MARGIN = 40;
+
+const orderNumber = (order) => order._id.toString().slice(-8).toUpperCase();
+
+// Órdenes con el nombre del empleado que las refirió, en el orden en que se pidieron
+async function loadOrdersForSlips(db, orderIds) {
+  const orders = await db.collection('orders').aggregate([
+    { $match: { _id: { $in: orderIds } } },
+    { $lookup: { from: 'employees', localField: 'referralCode', foreignField: 'referralCode', as: 'referredBy' } },
+    { $unwind: { path: '$referredBy', preserveNullAndEmptyArrays: true } },
+    { $addFields: { referredByEmployeeName: '$referredBy.name' } },
+    { $project: { referredBy: 0 } }
+  ]).toArray();
+  const byId = new Map(orders.map(order => [order._id.toString(), order]));
+  return orderIds.map(id => byId.get(id.toString())).filter(Boolean);
+}
+
+const renderBarcode = (bcid, text, options = {}) => bwipjs.toBuffer({ bcid, text, scale: 2, includetext: false, ...options });
+
+function addressLines(customerDetails = {}) {
+  const address = customerDetails.address || {};
+  const streetLine = [address.street, address.exteriorNumber].filter(Boolean).join(' ')
+    + (address.interiorNumber ? `, Int. ${address.interiorNumber}` : '');
+  return [
+    streetLine,
+    address.neighborhood && `Col. ${address.neighborhood}`,
+    [address.postalCode && `C.P. ${address.postalCode}`, address.city, MX_STATES[address.state] || address.state].filter(Boolean).join(', '),
+    address.references && `Referencias: ${address.references}`
+  ].filter(Boolean);
+}
+
+async function drawSlip(doc, order) {
+  const orderId = order._id.toString();
+  const [barcode, qrCode] = await Promise.all([
+    renderBarcode('code128', orderId, { height: 12 }),
+    renderBarcode('qrcode', orderId, { scale: 3 })
+  ]);
+  const pageWidth = doc.page.width - PAGE_MARGIN * 2;
+  const top = PAGE_MARGIN;
+
+  doc.fontSize(18).font('Helvetica-Bold').text('Vitafer México', PAGE_MARGIN, top);
+  doc.fontSize(12).font('Helvetica').text('Lista de empaque', PAGE_MARGIN, top + 22);
+  doc.fontSize(14).font('Helvetica-Bold').text(`Pedido #${orderNumber(order)}`, PAGE_MARGIN, top + 44);
+  doc.fontSize(9).font('Helvetica')
+    .text(`ID: ${orderId}`, PAGE_MARGIN, top + 62)
+    .text(`Fecha: ${formatDate(order.createdAt)}`, PAGE_MARGIN, top + 74);
+  doc.image(qrCode, PAGE_MARGIN + pageWidth - 90, top, { width: 90 });
+  doc.image(barcode, PAGE_MARGIN, top + 90, { width: 260, height: 40 });
+
+  // Datos de entrega
+  let y = top + 145;
+  doc.fontSize(11).font('Helvetica-Bold').text('Enviar a', PAGE_MARGIN, y);
+  y += 16;
+  doc.fontSize(10).font('Helvetica').text(order.customerDetails?.name || '', PAGE_MARGIN, y);
+  for (const line of addressLines(order.customerDetails)) {
+    y = doc.y + 2;
+    doc.text(line, PAGE_MARGIN, y, { width: pageWidth / 2 });
+  }
+  y = doc.y + 2;
+  doc.text(`Tel. ${order.customerDetails?.phone || '—'}`, PAGE_MARGIN, y);
+
+  const shipping = order.shippingDetails || {};
+  const rightColumn = PAGE_MARGIN + pageWidth / 2 + 10;
+  doc.fontSize(11).font('Helvetica-Bold').text('Envío', rightColumn, top + 145);
+  doc.fontSize(10).font('Helvetica')
+    .text(`Método: ${shipping.method || '—'}`, rightColumn, top + 161)
+    .text(`Paquetería: ${shipping.carrier || '—'}`, rightColumn, doc.y + 2)
+    .text(`Guía: ${shipping.trackingNumber || '—'}`, rightColumn, doc.y + 2)
+    .text(`Referido por: ${order.referredByEmployeeName ? `${order.referredByEmployeeName} (${order.referralCode})` : order.referralCode || '—'}`, rightColumn, doc.y + 2);
+
+  // Contenido del paquete
+  y = Math.max(doc.y, y) + 24;
+  const columns = { check: PAGE_MARGIN, product: PAGE_MARGIN + 24, presentation: PAGE_MARGIN + 260, quantity: PAGE_MARGIN + pageWidth - 60 };
+  doc.fontSize(10).font('Helvetica-Bold')
+    .text('Producto', columns.product, y)
+    .text('Presentación', columns.presentation, y)
+    .text('Cantidad', columns.quantity, y, { width: 60, align: 'right' });
+  y += 16;
+  doc.moveTo(PAGE_MARGIN, y - 3).lineTo(PAGE_MARGIN + pageWidth, y - 3).stroke();
+  doc.font('Helvetica');
+  let totalUnits = 0;
+  for (const item of order.items || []) {
+    if (y > doc.page.height - PAGE_MARGIN - 60) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+    doc.rect(columns.check, y, 10, 10).stroke();
+    doc.text(item.name || item.productId, columns.product, y, { width: 230 });
+    const rowBottom = doc.y;
+    doc.text(item.presentation || '', columns.presentation, y, { width: 200 });
+    doc.font('Helvetica-Bold').text(String(item.quantity), columns.quantity, y, { width: 60, align: 'right' }).font('Helvetica');
+    totalUnits += item.quantity;
+    y = Math.max(rowBottom, doc.y) + 6;
+  }
+  doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + pageWidth, y).stroke();
+  doc.font('Helvetica-Bold').text(`Total de piezas: ${totalUnits}`, columns.quantity - 120, y + 6, { width: 180, align: 'right' });
+}
+
+// Genera un PDF con una lista de empaque por orden y lo devuelve como Buffer
+async function renderPackingSlips(orders) {
+  const doc = new PDFDocument({ size: 'LETTER', margin: PAGE_MARGIN, autoFirstPage: false, info: { Title: 'Listas de empaque', Author: 'Vitafer México' } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+  for (const order of orders) {
+    doc.addPage();
+    await drawSlip(doc, order);
+  }
+  doc.end();
+  return finished;
+}
+
+module.exports = {
+  PACKABLE_STATUSES,
+  MAX_BATCH_SIZE,
+  loadOrdersForSlips,
+  renderPackingSlips
+};
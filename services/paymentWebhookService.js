@@ -0,0 +1,405 @@
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { restoreOrderStock, reserveOrderStock, pendingRestockItems, restockOrderItems } = require('./inventoryService');
+const { canTransition, statusChangeUpdate } = require('./orderLifecycle');
+const { enqueueOrderEmail, sendOrderConfirmationEmail } = require('./emailService');
+const { accrueCommission, reverseCommission } = require('./referralService');
+const { releaseCouponRedemption, reinstateCouponRedemption } = require('./couponService');
+
+// --- Firma de MercadoPago ---
+// x-signature llega como "ts=<timestamp>,v1=<hmac>" y el HMAC-SHA256 se calcula sobre
+// "id:<data.id>;request-id:<x-request-id>;ts:<ts>;" omitiendo las partes que no vengan.
+// Una firma con ts fuera de la ventana de tolerancia se rechaza, para que una notificación capturada
+// no pueda reenviarse indefinidamente.
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+// ts en milisegundos; se aceptan también segundos, que es como aparece en algunos ejemplos de MercadoPago
+const signatureTimestampMs = (ts) => {
+  if (!/^\d+$/.test(ts)) return null;
+  const value = Number(ts);
+  return value < 1e12 ? value * 1000 : value;
+};
+
+function verifyWebhookSignature({ signatureHeader, requestId, dataId, secret, now = Date.now(), toleranceMs = SIGNATURE_TOLERANCE_MS }) {
+  if (!signatureHeader || !secret) return false;
+  const parts = Object.fromEntries(signatureHeader.split(',').map(part => part.trim().split('=')));
+  if (!parts.ts || !parts.v1) return false;
+  const signedAt = signatureTimestampMs(parts.ts);
+  if (signedAt === null || Math.abs(now - signedAt) > toleranceMs) return false;
+
+  let manifest = '';
+  if (dataId) manifest += `id:${/^[a-z0-9]+$/i.test(dataId) ? String(dataId).toLowerCase() : dataId};`;
+  if (requestId) manifest += `request-id:${requestId};`;
+  manifest += `ts:${parts.ts};`;
+
+  const expected = crypto.createHmac('sha256', secret).update(manifest).digest('hex');
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(parts.v1);
+  return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+async function ensureWebhookEventIndexes(db) {
+  const eventsCollection = db.collection('webhook_events');
+  await eventsCollection.createIndex(
+    { dedupeKey: 1 },
+    { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+  );
+  await eventsCollection.createIndex({ status: 1, receivedAt: -1 });
+}
+
+// --- Aplicación del pago a la orden (transaccional) ---
+// Devuelve un resumen del resultado; lanza si la orden no se puede procesar para que el evento quede como fallido.
+// frontendUrl (config.frontendUrl) va en el correo de pago fallido; stockAlerts y referrals son los
+// grupos de config del mismo nombre, para los movimientos de stock y la comisión del referido.
+async function applyPaymentToOrder({ db, mongoClient, paymentData, frontendUrl, stockAlerts, referrals }) {
+  const paymentId = paymentData?.id?.toString();
+  const paymentStatusFromMP = paymentData?.status;
+  const externalReference = paymentData?.external_reference;
+
+  if (!externalReference || !ObjectId.isValid(externalReference)) {
+    console.error(`Error webhook: external_reference no encontrado en pago ${paymentId}.`);
+    throw new Error(`external_reference faltante para pago ${paymentId}`);
+  }
+  const orderObjectId = new ObjectId(externalReference);
+  const session = mongoClient.startSession(); // Usa sesión para las actualizaciones
+  let outcome;
+
+  try {
+    await session.withTransaction(async (currentSession) => {
+      const ordersCollection = db.collection('orders');
+      const order = await ordersCollection.findOne({ _id: orderObjectId }, { session: currentSession });
+
+      if (!order) {
+        console.error(`Webhook: Orden ${orderObjectId} no encontrada en DB para pago ${paymentId}.`);
+        throw new Error(`Orden ${orderObjectId} no encontrada para pago ${paymentId}`); // Aborta la transacción
+      }
+      console.log(`Procesando webhook para pago ${paymentId}, Orden ${orderObjectId}. Estado actual DB: ${order.status}`);
+
+      let newOrderStatusInDB;
+      let paymentDetailsUpdate = {
+        'paymentDetails.mercadoPagoPaymentId': paymentId,
+        'paymentDetails.paymentStatus': paymentStatusFromMP,
+        updatedAt: new Date()
+      };
+
+      if (paymentStatusFromMP === 'approved') {
+        if (['pending_payment', 'expired', 'failed'].includes(order.status)) {
+          newOrderStatusInDB = 'paid';
+          paymentDetailsUpdate['paymentDetails.paidAt'] = new Date();
+          // El stock ya se descontó al crear la preferencia. Aquí solo confirmamos, salvo que la
+          // orden haya expirado o fallado antes (p. ej. reintento de pago) y su reserva ya se haya liberado.
+          if (order.status !== 'pending_payment') {
+            const reserved = await reserveOrderStock(db, order, { session: currentSession, actor: 'webhook', reason: `Pago ${paymentId} aprobado tras liberar la reserva`, stockAlerts });
+            if (!reserved) {
+              console.error(`Pago ${paymentId} aprobado para orden ${order.status} ${orderObjectId} sin stock suficiente. Requiere revisión manual.`);
+              paymentDetailsUpdate.stockConflict = true;
+            }
+            await reinstateCouponRedemption(db, order, { session: currentSession });
+          }
+        } else if (order.status === 'cancelled') {
+          // El cliente pagó con la preferencia aún vigente después de que se canceló la orden: el cobro existe
+          // pero la orden no se surtirá. Se marca para que alguien emita el reembolso desde MercadoPago.
+          console.error(`Pago ${paymentId} aprobado para la orden CANCELADA ${orderObjectId}. Requiere revisión manual (reembolso).`);
+          newOrderStatusInDB = order.status;
+          paymentDetailsUpdate.paymentConflict = {
+            type: 'approved_after_cancellation',
+            paymentId,
+            amount: paymentData.transaction_amount ?? null,
+            detectedAt: new Date(),
+            resolvedAt: null
+          };
+        } else {
+          // Orden ya pagada, enviada o reembolsada (p. ej. aviso por un reembolso parcial): no cambia de estado
+          newOrderStatusInDB = order.status;
+        }
+      } else if (['rejected', 'cancelled'].includes(paymentStatusFromMP)) {
+        // Solo una orden en espera de pago falla; un intento rechazado no afecta a una orden ya resuelta
+        newOrderStatusInDB = order.status === 'pending_payment' ? 'failed' : order.status;
+        // Revertir stock SOLO si la orden estaba en 'pending_payment'
+        // (lo que significa que el stock se descontó pero el pago final falló)
+        if (order.status === 'pending_payment') {
+          console.warn(`Pago ${paymentId} para orden ${orderObjectId} es ${paymentStatusFromMP}. Revertiendo stock...`);
+          await restoreOrderStock(db, order, { session: currentSession, actor: 'webhook', reason: `Pago ${paymentId} ${paymentStatusFromMP}`, stockAlerts });
+          await releaseCouponRedemption(db, order, { reason: `Pago ${paymentId} ${paymentStatusFromMP}`, session: currentSession });
+        } else {
+          console.log(`Orden ${orderObjectId} con estado ${order.status}. No se revierte stock para pago ${paymentStatusFromMP}.`);
+        }
+      } else if (['refunded', 'charged_back'].includes(paymentStatusFromMP)) {
+        if (order.status === 'pending_payment') {
+          newOrderStatusInDB = 'failed';
+          console.warn(`Pago ${paymentId} para orden ${orderObjectId} es ${paymentStatusFromMP}. Revertiendo stock...`);
+          await restoreOrderStock(db, order, { session: currentSession, actor: 'webhook', reason: `Pago ${paymentId} ${paymentStatusFromMP}`, stockAlerts });
+          await releaseCouponRedemption(db, order, { reason: `Pago ${paymentId} ${paymentStatusFromMP}`, session: currentSession });
+        } else if (['paid', 'preparing'].includes(order.status)) {
+          // Reembolso hecho fuera del back office antes de enviar: la mercancía sigue en almacén
+          newOrderStatusInDB = 'refunded';
+          paymentDetailsUpdate.refundedAt = new Date();
+          if (order.pendingRefund) {
+            // Reembolso pedido desde el back office que aún no se registra: recordRefund repone lo que eligió el admin
+            console.log(`Webhook: orden ${orderObjectId} con reembolso en curso desde el back office (${order.pendingRefund.by}). No se repone stock aquí.`);
+          } else {
+            await restockOrderItems(db, order, pendingRestockItems(order), { session: currentSession, actor: 'webhook', reason: `Pago ${paymentId} ${paymentStatusFromMP}`, stockAlerts });
+          }
+        } else if (['shipped', 'delivered'].includes(order.status)) {
+          // La mercancía está con el cliente; la devolución a inventario se registra desde el back office
+          newOrderStatusInDB = 'refunded';
+          paymentDetailsUpdate.refundedAt = new Date();
+        } else {
+          newOrderStatusInDB = order.status;
+          if (order.paymentConflict && !order.paymentConflict.resolvedAt) {
+            // El cobro a la orden cancelada ya se devolvió
+            paymentDetailsUpdate['paymentConflict.resolvedAt'] = new Date();
+          }
+        }
+      } else if (paymentStatusFromMP === 'in_process' || paymentStatusFromMP === 'pending') {
+        // Una orden expirada o fallida ya no tiene stock reservado; no se regresa a 'pending_payment'
+        newOrderStatusInDB = order.status;
+      } else {
+        console.log(`Estado de pago MP '${paymentStatusFromMP}' no manejado para cambio de estado principal de orden ${orderObjectId}. Solo actualizando detalles de pago.`);
+        await ordersCollection.updateOne({ _id: orderObjectId }, { $set: paymentDetailsUpdate }, { session: currentSession });
+        outcome = 'payment_details_updated';
+        return;
+      }
+
+      // Reembolsos hechos desde el panel de MercadoPago (o cuyo registro en el back office falló)
+      const knownRefundIds = new Set((order.refunds || []).map(refund => refund.refundId));
+      const newRefunds = (paymentData.refunds || [])
+        .filter(refund => !knownRefundIds.has(refund.id?.toString()))
+        .map(refund => ({
+          refundId: refund.id.toString(),
+          amount: refund.amount,
+          status: refund.status || null,
+          reason: null,
+          restockedItems: [],
+          createdBy: 'webhook',
+          source: 'mercadopago',
+          createdAt: refund.date_created ? new Date(refund.date_created) : new Date()
+        }));
+      if (newRefunds.length > 0) {
+        await ordersCollection.updateOne(
+          { _id: orderObjectId },
+          { $push: { refunds: { $each: newRefunds } }, $inc: { refundedAmount: newRefunds.reduce((sum, refund) => sum + refund.amount, 0) } },
+          { session: currentSession }
+        );
+        console.log(`Webhook: ${newRefunds.length} reembolso(s) de MercadoPago registrados en orden ${orderObjectId}.`);
+      }
+
+      // Comisiones de referido: se acumulan al pagarse la orden y se revierten con cada reembolso
+      if (newOrderStatusInDB === 'paid' && order.status !== 'paid') {
+        await accrueCommission(db, order, { defaultCommissionRate: referrals.defaultCommissionRate, session: currentSession });
+      }
+      for (const refund of newRefunds) {
+        await reverseCommission(db, order, { reversalKey: refund.refundId, refundAmount: refund.amount, reason: 'Reembolso en MercadoPago', session: currentSession });
+      }
+      if (newOrderStatusInDB === 'refunded' && order.status !== 'refunded') {
+        await reverseCommission(db, order, { reversalKey: paymentStatusFromMP, full: true, reason: `Pago ${paymentStatusFromMP}`, session: currentSession });
+      }
+
+      if (order.status !== newOrderStatusInDB && !canTransition(order.status, newOrderStatusInDB)) {
+        // Transacción abortada: el evento queda como fallido para revisarlo y reprocesarlo
+        throw new Error(`Transición no permitida de '${order.status}' a '${newOrderStatusInDB}' para pago ${paymentId} (${paymentStatusFromMP}).`);
+      }
+      if (order.status !== newOrderStatusInDB || order.paymentDetails.paymentStatus !== paymentStatusFromMP) {
+        const update = { $set: paymentDetailsUpdate };
+        if (order.status !== newOrderStatusInDB) {
+          const change = statusChangeUpdate(order.status, newOrderStatusInDB, {
+            actor: 'webhook',
+            reason: `Pago ${paymentId} de MercadoPago con estado '${paymentStatusFromMP}'`
+          });
+          update.$set = { ...paymentDetailsUpdate, ...change.$set };
+          update.$push = change.$push;
+        }
+        const updateResult = await ordersCollection.updateOne({ _id: orderObjectId, status: order.status }, update, { session: currentSession });
+        if (updateResult.modifiedCount > 0) {
+          console.log(`Orden ${orderObjectId} actualizada a ${newOrderStatusInDB}.`);
+          outcome = `order_${newOrderStatusInDB}`;
+          // El correo se encola en la misma transacción: solo sale si el cambio de estado se confirma
+          if (newOrderStatusInDB === 'paid' && order.status !== 'paid') {
+            await sendOrderConfirmationEmail(db, order, { session: currentSession });
+          } else if (newOrderStatusInDB === 'failed' && order.status === 'pending_payment') {
+            await enqueueOrderEmail(db, order, 'payment_failed', { frontendUrl }, { session: currentSession });
+          }
+        } else {
+          console.log(`Orden ${orderObjectId} no actualizada por webhook (quizás ya tenía el estado correcto).`);
+          outcome = 'order_unchanged';
+        }
+      } else {
+        console.log(`Orden ${orderObjectId} ya tiene el estado ${newOrderStatusInDB} y paymentStatus ${paymentStatusFromMP}.`);
+        outcome = 'order_unchanged';
+      }
+      if (paymentDetailsUpdate.paymentConflict) outcome = 'payment_conflict';
+    });
+  } finally {
+    await session.endSession();
+  }
+  return { orderId: orderObjectId, outcome };
+}
+
+// --- Registro de eventos en 'webhook_events' ---
+async function runWebhookEvent({ db, mongoClient, eventId, paymentData, frontendUrl, stockAlerts, referrals }) {
+  const eventsCollection = db.collection('webhook_events');
+  try {
+    const { orderId, outcome } = await applyPaymentToOrder({ db, mongoClient, paymentData, frontendUrl, stockAlerts, referrals });
+    await eventsCollection.updateOne(
+      { _id: eventId },
+      { $set: { status: 'processed', outcome, orderId, error: null, processedAt: new Date() }, $inc: { attempts: 1 } }
+    );
+    return { status: 'processed', eventId, outcome };
+  } catch (error) {
+    console.error(`Error CRÍTICO procesando evento de webhook ${eventId} para pago ${paymentData?.id}:`, error.cause || error.message || error);
+    await eventsCollection.updateOne(
+      { _id: eventId },
+      { $set: { status: 'failed', error: error.message || String(error), failedAt: new Date() }, $inc: { attempts: 1 } }
+    );
+    return { status: 'failed', eventId, error };
+  }
+}
+
+// Un evento que quedó en 'processing' más de este tiempo se da por abandonado (el proceso se cayó a
+// media transacción) y la siguiente entrega de MercadoPago lo reclama, igual que a uno fallido.
+const WEBHOOK_PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+// Clave de deduplicación: pago + estado + versión del pago. Un reembolso parcial deja el pago en
+// 'approved', así que el estado no basta; date_last_updated cambia con cada modificación en
+// MercadoPago y, si no viene, se usan los ids de los reembolsos.
+function paymentDedupeKey(paymentData) {
+  const version = paymentData.date_last_updated || (paymentData.refunds || []).map(refund => refund.id).join(',');
+  return `${paymentData.id}:${paymentData.status}:${version}`;
+}
+
+const isReclaimable = (event, now) => event.status === 'failed'
+  || (event.status === 'processing' && (event.processingStartedAt || event.receivedAt) < new Date(now.getTime() - WEBHOOK_PROCESSING_LEASE_MS));
+
+// Registra el evento del pago y lo procesa una sola vez por versión del pago. Una entrega repetida
+// de un evento fallido, o de uno que se quedó en 'processing' tras vencer su plazo, se toma como reintento.
+async function recordPaymentEvent({ db, mongoClient, paymentData, baseEvent, frontendUrl, stockAlerts, referrals }) {
+  const eventsCollection = db.collection('webhook_events');
+  const now = new Date();
+  const paymentId = baseEvent.paymentId;
+  const dedupeKey = paymentDedupeKey(paymentData);
+  const newEventId = new ObjectId();
+  let previousEvent;
+  try {
+    previousEvent = await eventsCollection.findOneAndUpdate(
+      { dedupeKey },
+      {
+        $setOnInsert: {
+          _id: newEventId,
+          ...baseEvent,
+          dedupeKey,
+          paymentStatus: paymentData.status,
+          orderId: ObjectId.isValid(paymentData.external_reference) ? new ObjectId(paymentData.external_reference) : null,
+          status: 'processing',
+          processingStartedAt: now
+        },
+        $set: { lastReceivedAt: now },
+        $inc: { deliveryCount: 1 }
+      },
+      { upsert: true, returnDocument: 'before' }
+    );
+  } catch (error) {
+    if (error.code === 11000) return { status: 'duplicate' }; // Otra entrega simultánea ganó el upsert
+    throw error;
+  }
+
+  let eventId;
+  if (!previousEvent) {
+    eventId = newEventId;
+  } else if (isReclaimable(previousEvent, now)) {
+    const claim = await eventsCollection.updateOne(
+      { _id: previousEvent._id, status: previousEvent.status, processingStartedAt: previousEvent.processingStartedAt ?? null },
+      { $set: { status: 'processing', processingStartedAt: now } }
+    );
+    if (claim.modifiedCount === 0) return { status: 'duplicate', eventId: previousEvent._id };
+    if (previousEvent.status === 'processing') {
+      console.warn(`Webhook: evento ${previousEvent._id} del pago ${paymentId} seguía en 'processing' desde ${previousEvent.processingStartedAt || previousEvent.receivedAt}. Se reclama.`);
+    }
+    eventId = previousEvent._id;
+  } else {
+    console.log(`Webhook duplicado para pago ${paymentId} con estado ${paymentData.status}. Evento ${previousEvent._id} ya ${previousEvent.status}.`);
+    return { status: 'duplicate', eventId: previousEvent._id };
+  }
+
+  return runWebhookEvent({ db, mongoClient, eventId, paymentData, frontendUrl, stockAlerts, referrals });
+}
+
+async function handlePaymentNotification({ db, mongoClient, payment, paymentId, notification, frontendUrl, stockAlerts, referrals }) {
+  const eventsCollection = db.collection('webhook_events');
+  const now = new Date();
+  const baseEvent = { topic: 'payment', paymentId, ...notification, receivedAt: now, attempts: 0 };
+
+  let paymentData;
+  try {
+    paymentData = await payment.get({ id: paymentId });
+  } catch (error) {
+    // Sin el estado del pago no se puede deduplicar; queda como fallido para reintentarlo
+    console.error(`Webhook: no se pudo consultar el pago ${paymentId} en MercadoPago:`, error.message || error);
+    const { insertedId } = await eventsCollection.insertOne({ ...baseEvent, deliveryCount: 1, paymentStatus: null, status: 'failed', error: `Consulta a MercadoPago fallida: ${error.message || error}`, failedAt: now });
+    return { status: 'failed', eventId: insertedId, error };
+  }
+
+  return recordPaymentEvent({ db, mongoClient, paymentData, baseEvent, frontendUrl, stockAlerts, referrals });
+}
+
+async function recordIgnoredNotification(db, { topic, reason, notification }) {
+  await db.collection('webhook_events').insertOne({ topic: topic || null, ...notification, status: 'ignored', outcome: reason, receivedAt: new Date() });
+}
+
+// Vuelve a procesar un evento fallido consultando el estado actual del pago en MercadoPago. Si el pago
+// cambió desde que llegó el evento (otra dedupeKey), el evento queda como 'superseded' y el estado actual
+// se procesa como una notificación nueva, con su propia deduplicación.
+async function replayWebhookEvent({ db, mongoClient, payment, eventId, actor, frontendUrl, stockAlerts, referrals }) {
+  const eventsCollection = db.collection('webhook_events');
+  const claim = await eventsCollection.findOneAndUpdate(
+    { _id: eventId, status: 'failed' },
+    { $set: { status: 'processing', processingStartedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+  if (!claim) return null;
+
+  let result;
+  let paymentData;
+  try {
+    paymentData = await payment.get({ id: claim.paymentId });
+  } catch (error) {
+    await eventsCollection.updateOne(
+      { _id: eventId },
+      { $set: { status: 'failed', error: `Consulta a MercadoPago fallida: ${error.message || error}`, failedAt: new Date() }, $inc: { attempts: 1 } }
+    );
+    result = { status: 'failed', eventId, error };
+  }
+  if (paymentData && claim.dedupeKey === paymentDedupeKey(paymentData)) {
+    result = await runWebhookEvent({ db, mongoClient, eventId, paymentData, frontendUrl, stockAlerts, referrals });
+  } else if (paymentData) {
+    console.log(`Reproceso: el pago ${claim.paymentId} cambió a '${paymentData.status}' desde el evento ${eventId} ('${claim.paymentStatus}'). Se procesa el estado actual.`);
+    await eventsCollection.updateOne(
+      { _id: eventId },
+      { $set: { status: 'superseded', outcome: 'payment_changed', supersededAt: new Date() } }
+    );
+    const current = await recordPaymentEvent({
+      db,
+      mongoClient,
+      paymentData,
+      frontendUrl,
+      stockAlerts,
+      referrals,
+      baseEvent: { topic: 'payment', paymentId: claim.paymentId, requestId: null, action: 'replay', receivedAt: new Date(), attempts: 0 }
+    });
+    await eventsCollection.updateOne({ _id: eventId }, { $set: { supersededBy: current.eventId || null } });
+    result = { ...current, supersededEventId: eventId };
+  }
+  await eventsCollection.updateOne(
+    { _id: eventId },
+    { $push: { replays: { at: new Date(), by: actor, result: result.status } } }
+  );
+  return result;
+}
+
+module.exports = {
+  verifyWebhookSignature,
+  ensureWebhookEventIndexes,
+  applyPaymentToOrder,
+  handlePaymentNotification,
+  recordIgnoredNotification,
+  replayWebhookEvent
+};
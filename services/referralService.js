@@ -0,0 +1,215 @@
+const { toCents, fromCents } = require('./checkoutService');
+
+const REPORT_TIMEZONE = 'America/Mexico_City';
+
+const isValidRate = (rate) => typeof rate === 'number' && rate >= 0 && rate <= 1;
+
+// Busca al empleado activo dueño del código de referido
+async function resolveReferral(db, referralCode, { session } = {}) {
+  if (!referralCode || typeof referralCode !== 'string') return null;
+  return db.collection('employees').findOne(
+    { referralCode: referralCode.trim(), active: { $ne: false } },
+    { session }
+  );
+}
+
+// Comisión por línea: la tasa del producto tiene prioridad sobre la del empleado y ésta sobre la general
+// (defaultCommissionRate de config.referrals)
+async function computeCommission(db, order, employee, { defaultCommissionRate, session } = {}) {
+  const productIds = order.items.map(item => item.productId);
+  const products = await db.collection('products')
+    .find({ productId: { $in: productIds } }, { session, projection: { productId: 1, commissionRate: 1 } })
+    .toArray();
+  const productRates = new Map(products.map(product => [product.productId, product.commissionRate]));
+
+  let totalCents = 0;
+  let baseCents = 0;
+  const lines = order.items.map(item => {
+    const productRate = productRates.get(item.productId);
+    const rate = isValidRate(productRate) ? productRate
+      : isValidRate(employee.commissionRate) ? employee.commissionRate
+        : defaultCommissionRate;
+    // La comisión se calcula sobre lo que pagó el cliente, ya con el descuento del cupón
+    const lineBaseCents = toCents(item.totalItemPrice) - toCents(item.discountAmount || 0);
+    const lineCents = Math.round(lineBaseCents * rate);
+    baseCents += lineBaseCents;
+    totalCents += lineCents;
+    return { productId: item.productId, quantity: item.quantity, baseAmount: fromCents(lineBaseCents), rate, amount: fromCents(lineCents) };
+  });
+  return { lines, baseAmount: fromCents(baseCents), amount: fromCents(totalCents) };
+}
+
+// Registra la comisión de una orden pagada. Idempotente: una orden solo acumula una vez.
+async function accrueCommission(db, order, { defaultCommissionRate, session } = {}) {
+  const employee = order.referralEmployeeId
+    ? await db.collection('employees').findOne({ _id: order.referralEmployeeId }, { session })
+    : await resolveReferral(db, order.referralCode, { session });
+  if (!employee) return null;
+
+  const { lines, baseAmount, amount } = await computeCommission(db, order, employee, { defaultCommissionRate, session });
+  const now = new Date();
+  await db.collection('commissions').updateOne(
+    { orderId: order._id, type: 'accrual', reversalKey: null },
+    {
+      $setOnInsert: {
+        orderId: order._id,
+        type: 'accrual',
+        reversalKey: null,
+        employeeId: employee._id,
+        referralCode: employee.referralCode,
+        lines,
+        baseAmount,
+        amount,
+        payoutId: null,
+        paidOutAt: null,
+        createdAt: now
+      }
+    },
+    { upsert: true, session }
+  );
+  console.log(`Comisión de ${amount} MXN acumulada para empleado ${employee._id} por orden ${order._id}.`);
+  return amount;
+}
+
+// Revierte la comisión de una orden en proporción al monto reembolsado (o completa con full=true).
+// La proporción se toma sobre la misma base de la acumulación (productos menos descuento, sin envío),
+// así un reembolso parcial de productos revierte exactamente la comisión de esos productos.
+// reversalKey identifica el origen (refundId, 'chargeback', 'cancellation') para no revertir dos veces.
+async function reverseCommission(db, order, { reversalKey, refundAmount, full = false, reason = null, session } = {}) {
+  const commissionsCollection = db.collection('commissions');
+  const entries = await commissionsCollection.find({ orderId: order._id }, { session }).toArray();
+  const accrual = entries.find(entry => entry.type === 'accrual');
+  if (!accrual) return null;
+
+  const remainingCents = entries.reduce((sum, entry) => sum + toCents(entry.amount), 0);
+  if (remainingCents <= 0) return null;
+  const remainingBaseCents = entries.reduce((sum, entry) => sum + toCents(entry.baseAmount), 0);
+  const reversalBaseCents = full ? remainingBaseCents : Math.min(remainingBaseCents, toCents(refundAmount));
+  const reversalCents = full
+    ? remainingCents
+    : Math.min(remainingCents, Math.round(toCents(accrual.amount) * reversalBaseCents / toCents(accrual.baseAmount)));
+  if (reversalCents <= 0) return null;
+
+  await commissionsCollection.updateOne(
+    { orderId: order._id, type: 'reversal', reversalKey: String(reversalKey) },
+    {
+      $setOnInsert: {
+        orderId: order._id,
+        type: 'reversal',
+        reversalKey: String(reversalKey),
+        employeeId: accrual.employeeId,
+        referralCode: accrual.referralCode,
+        baseAmount: -fromCents(reversalBaseCents),
+        amount: -fromCents(reversalCents),
+        reason,
+        payoutId: null,
+        paidOutAt: null,
+        createdAt: new Date()
+      }
+    },
+    { upsert: true, session }
+  );
+  console.log(`Comisión de orden ${order._id} revertida: ${fromCents(reversalCents)} MXN (${reversalKey}).`);
+  return -fromCents(reversalCents);
+}
+
+// Ventas y comisiones por empleado en un rango de fechas; period=day|week|month desglosa por periodo
+async function getReferralReport(db, { from, to, employeeId, period } = {}) {
+  const match = {};
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lt = to;
+  }
+  if (employeeId) match.employeeId = employeeId;
+
+  const groupId = { employeeId: '$employeeId' };
+  // Semanas de lunes a domingo, igual que los reportes de ventas
+  if (period) groupId.period = { $dateTrunc: { date: '$createdAt', unit: period, timezone: REPORT_TIMEZONE, ...(period === 'week' && { startOfWeek: 'monday' }) } };
+
+  const isAccrual = { $eq: ['$type', 'accrual'] };
+  return db.collection('commissions').aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: groupId,
+        orders: { $sum: { $cond: [isAccrual, 1, 0] } },
+        salesAmount: { $sum: '$baseAmount' },
+        accruedCommission: { $sum: { $cond: [isAccrual, '$amount', 0] } },
+        reversedCommission: { $sum: { $cond: [isAccrual, 0, '$amount'] } },
+        netCommission: { $sum: '$amount' },
+        paidOutCommission: { $sum: { $cond: [{ $ne: ['$payoutId', null] }, '$amount', 0] } },
+        pendingCommission: { $sum: { $cond: [{ $eq: ['$payoutId', null] }, '$amount', 0] } }
+      }
+    },
+    { $lookup: { from: 'employees', localField: '_id.employeeId', foreignField: '_id', as: 'employee' } },
+    { $unwind: { path: '$employee', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        employeeId: '$_id.employeeId',
+        period: '$_id.period',
+        employeeName: '$employee.name',
+        referralCode: '$employee.referralCode',
+        orders: 1,
+        salesAmount: { $round: ['$salesAmount', 2] },
+        accruedCommission: { $round: ['$accruedCommission', 2] },
+        reversedCommission: { $round: ['$reversedCommission', 2] },
+        netCommission: { $round: ['$netCommission', 2] },
+        paidOutCommission: { $round: ['$paidOutCommission', 2] },
+        pendingCommission: { $round: ['$pendingCommission', 2] }
+      }
+    },
+    { $sort: { employeeName: 1, period: 1 } }
+  ]).toArray();
+}
+
+// Liquida al empleado todo lo pendiente hasta periodEnd (acumulaciones y reversiones)
+async function createPayout(db, mongoClient, { employeeId, periodEnd = new Date(), actor, notes = null }) {
+  const commissionsCollection = db.collection('commissions');
+  const session = mongoClient.startSession();
+  let payout = null;
+  try {
+    await session.withTransaction(async (currentSession) => {
+      payout = null;
+      const filter = { employeeId, payoutId: null, createdAt: { $lt: periodEnd } };
+      const entries = await commissionsCollection.find(filter, { session: currentSession, projection: { amount: 1 } }).toArray();
+      if (entries.length === 0) return;
+      const now = new Date();
+      payout = {
+        employeeId,
+        periodEnd,
+        amount: fromCents(entries.reduce((sum, entry) => sum + toCents(entry.amount), 0)),
+        entries: entries.length,
+        notes,
+        createdBy: actor,
+        createdAt: now
+      };
+      const { insertedId } = await db.collection('commission_payouts').insertOne(payout, { session: currentSession });
+      payout._id = insertedId;
+      await commissionsCollection.updateMany(
+        { _id: { $in: entries.map(entry => entry._id) }, payoutId: null },
+        { $set: { payoutId: insertedId, paidOutAt: now } },
+        { session: currentSession }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+  return payout;
+}
+
+async function ensureReferralIndexes(db) {
+  await db.collection('commissions').createIndex({ orderId: 1, type: 1, reversalKey: 1 }, { unique: true });
+  await db.collection('commissions').createIndex({ employeeId: 1, createdAt: -1 });
+  await db.collection('employees').createIndex({ referralCode: 1 });
+}
+
+module.exports = {
+  resolveReferral,
+  accrueCommission,
+  reverseCommission,
+  getReferralReport,
+  createPayout,
+  ensureReferralIndexes
+};
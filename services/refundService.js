@@ -0,0 +1,257 @@
+const { toCents, fromCents } = require('./checkoutService');
+const { restoreOrderStock, pendingRestockItems, restockOrderItems } = require('./inventoryService');
+const { findLivePayment } = require('./orderExpiryService');
+const { canTransition, statusChangeUpdate, transitionOrder } = require('./orderLifecycle');
+const { reverseCommission } = require('./referralService');
+const { releaseCouponRedemption } = require('./couponService');
+
+const REFUNDABLE_STATUSES = ['paid', 'preparing', 'shipped', 'delivered'];
+// Tiempo tras el cual una marca de reembolso en curso se considera abandonada (p. ej. el proceso se cayó)
+const PENDING_REFUND_LEASE_MS = 10 * 60 * 1000;
+
+class OrderActionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OrderActionError';
+    this.status = status;
+  }
+}
+
+// Valida los items a reponer contra lo que la orden vendió y aún no se ha repuesto
+function validateRestockItems(order, restockItems) {
+  if (restockItems === undefined || restockItems === null) return [];
+  if (!Array.isArray(restockItems)) throw new OrderActionError('restockItems debe ser un arreglo de { productId, quantity }.');
+  const available = new Map(pendingRestockItems(order).map(item => [item.productId, item.quantity]));
+  const requested = new Map();
+  for (const item of restockItems) {
+    if (!item?.productId || !Number.isInteger(item.quantity) || item.quantity <= 0) {
+      throw new OrderActionError('Cada item a reponer requiere productId y una cantidad entera positiva.');
+    }
+    requested.set(item.productId, (requested.get(item.productId) || 0) + item.quantity);
+  }
+  for (const [productId, quantity] of requested) {
+    if (quantity > (available.get(productId) || 0)) {
+      throw new OrderActionError(`No se pueden reponer ${quantity} unidades de ${productId}: la orden solo tiene ${available.get(productId) || 0} sin reponer.`);
+    }
+  }
+  return [...requested].map(([productId, quantity]) => ({ productId, quantity }));
+}
+
+const remainingRefundableCents = (order) => toCents(order.totalAmount) - toCents(order.refundedAmount || 0);
+
+// Marca la orden con el reembolso en curso ANTES de pedirlo a MercadoPago. Si el aviso 'refunded'
+// llega antes de que recordRefund confirme, el webhook ve la marca y deja la reposición de stock
+// al back office, que respeta lo que eligió el admin. También evita dos reembolsos simultáneos.
+async function markPendingRefund(db, order, { actor, amount, restockItems }) {
+  const now = new Date();
+  const result = await db.collection('orders').updateOne(
+    {
+      _id: order._id,
+      status: order.status,
+      $or: [{ pendingRefund: null }, { 'pendingRefund.at': { $lt: new Date(now.getTime() - PENDING_REFUND_LEASE_MS) } }]
+    },
+    { $set: { pendingRefund: { by: actor, amount, restockItems, at: now } } }
+  );
+  if (result.matchedCount === 0) {
+    throw new OrderActionError('La orden tiene otro reembolso en curso o cambió de estado. Intenta de nuevo en unos minutos.', 409);
+  }
+}
+
+const clearPendingRefund = (db, orderId, options) =>
+  db.collection('orders').updateOne({ _id: orderId }, { $unset: { pendingRefund: '' } }, options);
+
+// Pide el reembolso a MercadoPago con la orden marcada; si MercadoPago falla se retira la marca
+async function requestRefund({ db, paymentRefund, order, refundCents, actor, restockItems }) {
+  await markPendingRefund(db, order, { actor, amount: fromCents(refundCents), restockItems });
+  try {
+    return await issueMercadoPagoRefund({ paymentRefund, order, refundCents });
+  } catch (error) {
+    await clearPendingRefund(db, order._id);
+    throw error;
+  }
+}
+
+async function issueMercadoPagoRefund({ paymentRefund, order, refundCents }) {
+  const paymentId = order.paymentDetails?.mercadoPagoPaymentId;
+  if (!paymentId) throw new OrderActionError('La orden no tiene un pago de MercadoPago asociado.', 409);
+  // Sin monto, MercadoPago reembolsa el pago completo
+  const body = refundCents === toCents(order.totalAmount) ? {} : { amount: fromCents(refundCents) };
+  const mpRefund = await paymentRefund.create({ payment_id: paymentId, body });
+  console.log(`Reembolso MP ${mpRefund.id} (${fromCents(refundCents)} MXN) creado para orden ${order._id}.`);
+  return mpRefund;
+}
+
+// Registra el reembolso en la orden, aplica el cambio de estado (si lo hay) y repone el stock indicado
+// en una sola transacción. El webhook puede haber registrado ya el mismo refundId; en ese caso solo se
+// completan los datos del registro. stockAlerts: config.stockAlerts, para los movimientos de stock.
+async function recordRefund({ db, mongoClient, order, refundRecord, itemsToRestock, transition, stockAlerts }) {
+  const ordersCollection = db.collection('orders');
+  const session = mongoClient.startSession();
+  try {
+    await session.withTransaction(async (currentSession) => {
+      const now = new Date();
+      const change = transition
+        ? statusChangeUpdate(order.status, transition.to, { actor: refundRecord.createdBy, reason: transition.reason, at: now })
+        : { $set: { updatedAt: now }, $push: {} };
+      let result = await ordersCollection.updateOne(
+        { _id: order._id, status: order.status, 'refunds.refundId': { $ne: refundRecord.refundId } },
+        {
+          $push: { refunds: refundRecord, ...change.$push },
+          $inc: { refundedAmount: refundRecord.amount },
+          $set: { ...change.$set, ...transition?.set }
+        },
+        { session: currentSession }
+      );
+      if (result.modifiedCount === 0) {
+        result = await ordersCollection.updateOne(
+          { _id: order._id, 'refunds.refundId': refundRecord.refundId },
+          {
+            $set: {
+              'refunds.$.reason': refundRecord.reason,
+              'refunds.$.restockedItems': refundRecord.restockedItems,
+              'refunds.$.createdBy': refundRecord.createdBy,
+              'refunds.$.source': refundRecord.source
+            }
+          },
+          { session: currentSession }
+        );
+        if (result.matchedCount === 0) throw new OrderActionError('La orden cambió de estado mientras se procesaba la operación.', 409);
+        if (transition) {
+          // false si el webhook ya movió la orden a su estado final
+          await transitionOrder(db, order, transition.to, { actor: refundRecord.createdBy, reason: transition.reason, set: transition.set, session: currentSession });
+        }
+      }
+      await restockOrderItems(db, order, itemsToRestock, { session: currentSession, actor: refundRecord.createdBy, reason: `Reembolso ${refundRecord.refundId}`, stockAlerts });
+      await clearPendingRefund(db, order._id, { session: currentSession });
+      await reverseCommission(db, order, {
+        reversalKey: refundRecord.refundId,
+        refundAmount: refundRecord.amount,
+        full: transition?.to === 'refunded' || transition?.to === 'cancelled',
+        reason: refundRecord.reason,
+        session: currentSession
+      });
+    });
+  } catch (error) {
+    console.error(`FALLO CRÍTICO: reembolso MP ${refundRecord.refundId} emitido pero no registrado en la orden ${order._id}. Revisar manualmente. Error:`, error);
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Reembolso total o parcial de una orden pagada o enviada, con reposición opcional de items
+async function refundOrder({ db, mongoClient, paymentRefund, orderId, actor, amount, restockItems, reason, stockAlerts }) {
+  const order = await db.collection('orders').findOne({ _id: orderId });
+  if (!order) throw new OrderActionError('Orden no encontrada', 404);
+  if (!REFUNDABLE_STATUSES.includes(order.status)) {
+    throw new OrderActionError(`No se puede reembolsar una orden en estado '${order.status}'.`, 409);
+  }
+  const remainingCents = remainingRefundableCents(order);
+  if (remainingCents <= 0) throw new OrderActionError('La orden ya fue reembolsada por completo.', 409);
+
+  let refundCents = remainingCents;
+  if (amount !== undefined && amount !== null) {
+    if (typeof amount !== 'number' || !(amount > 0)) throw new OrderActionError('El monto a reembolsar debe ser un número positivo.');
+    refundCents = toCents(amount);
+    if (refundCents > remainingCents) {
+      throw new OrderActionError(`El monto excede lo reembolsable de la orden (${fromCents(remainingCents)} MXN).`);
+    }
+  }
+  const itemsToRestock = validateRestockItems(order, restockItems);
+  const isFullRefund = refundCents === remainingCents;
+
+  const mpRefund = await requestRefund({ db, paymentRefund, order, refundCents, actor, restockItems: itemsToRestock });
+  const refundRecord = {
+    refundId: mpRefund.id?.toString(),
+    amount: fromCents(refundCents),
+    status: mpRefund.status || null,
+    reason: reason || null,
+    restockedItems: itemsToRestock,
+    createdBy: actor,
+    source: 'back_office',
+    createdAt: new Date()
+  };
+  await recordRefund({
+    db, mongoClient, order, refundRecord, itemsToRestock, stockAlerts,
+    transition: isFullRefund ? { to: 'refunded', reason: reason || 'Reembolso total', set: { refundedAt: new Date() } } : null
+  });
+  return { refund: refundRecord, fullRefund: isFullRefund };
+}
+
+// Cancela una orden no enviada. Si está pendiente se cancela el pago en MercadoPago (si existe) y se
+// libera la reserva; si ya está pagada o en preparación se reembolsa el total y, salvo restock=false, se repone todo.
+async function cancelOrder({ db, mongoClient, payment, paymentRefund, orderId, actor, reason, restock = true, stockAlerts }) {
+  const ordersCollection = db.collection('orders');
+  const order = await ordersCollection.findOne({ _id: orderId });
+  if (!order) throw new OrderActionError('Orden no encontrada', 404);
+  const cancellation = { by: actor, reason: reason || null, at: new Date() };
+
+  if (order.status === 'pending_payment') {
+    const livePayment = await findLivePayment(payment, order._id.toString());
+    if (livePayment?.status === 'approved') {
+      throw new OrderActionError('La orden ya tiene un pago aprobado en MercadoPago. Espera la confirmación y emite un reembolso.', 409);
+    }
+    if (livePayment) {
+      await payment.cancel({ id: livePayment.id });
+      console.log(`Pago MP ${livePayment.id} cancelado para orden ${order._id}.`);
+    }
+    const session = mongoClient.startSession();
+    try {
+      await session.withTransaction(async (currentSession) => {
+        const changed = await transitionOrder(db, order, 'cancelled', {
+          actor, reason: cancellation.reason, set: { cancelledAt: cancellation.at, cancellation }, session: currentSession
+        });
+        if (!changed) throw new OrderActionError('La orden cambió de estado mientras se cancelaba.', 409);
+        // La reserva siempre se libera: esas unidades nunca salieron del almacén
+        await restoreOrderStock(db, order, { session: currentSession, actor, reason: 'Cancelación de orden', stockAlerts });
+        await releaseCouponRedemption(db, order, { reason: 'Cancelación de orden', session: currentSession });
+      });
+    } finally {
+      await session.endSession();
+    }
+    return { refund: null };
+  }
+
+  if (!canTransition(order.status, 'cancelled')) {
+    throw new OrderActionError(`No se puede cancelar una orden en estado '${order.status}'. Para órdenes enviadas emite un reembolso.`, 409);
+  }
+  const refundCents = remainingRefundableCents(order);
+  const itemsToRestock = restock ? pendingRestockItems(order) : [];
+  let refundRecord = null;
+  if (refundCents > 0) {
+    const mpRefund = await requestRefund({ db, paymentRefund, order, refundCents, actor, restockItems: itemsToRestock });
+    refundRecord = {
+      refundId: mpRefund.id?.toString(),
+      amount: fromCents(refundCents),
+      status: mpRefund.status || null,
+      reason: reason || 'Cancelación de orden',
+      restockedItems: itemsToRestock,
+      createdBy: actor,
+      source: 'back_office',
+      createdAt: new Date()
+    };
+  }
+  const transition = { to: 'cancelled', reason: cancellation.reason, set: { cancelledAt: cancellation.at, cancellation } };
+  if (refundRecord) {
+    await recordRefund({ db, mongoClient, order, refundRecord, itemsToRestock, transition, stockAlerts });
+  } else {
+    const session = mongoClient.startSession();
+    try {
+      await session.withTransaction(async (currentSession) => {
+        const changed = await transitionOrder(db, order, 'cancelled', { actor, reason: transition.reason, set: transition.set, session: currentSession });
+        if (!changed) throw new OrderActionError('La orden cambió de estado mientras se cancelaba.', 409);
+        await restockOrderItems(db, order, itemsToRestock, { session: currentSession, actor, reason: 'Cancelación de orden', stockAlerts });
+        await reverseCommission(db, order, { reversalKey: 'cancellation', full: true, reason: transition.reason, session: currentSession });
+      });
+    } finally {
+      await session.endSession();
+    }
+  }
+  return { refund: refundRecord };
+}
+
+module.exports = {
+  OrderActionError,
+  refundOrder,
+  cancelOrder
+};
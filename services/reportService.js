@@ -0,0 +1,343 @@
+const { ObjectId } = require('mongodb');
+
+// --- Reportes de ventas ---
+// Se agregan sobre 'orders' filtrando por fecha de creación (?from=&to=). Cuentan como venta las órdenes
+// con pago aprobado, incluidas las reembolsadas; el ingreso neto descuenta lo reembolsado.
+
+const REPORT_TIMEZONE = 'America/Mexico_City';
+const PERIODS = ['day', 'week', 'month'];
+const SALE_STATUSES = ['paid', 'preparing', 'shipped', 'delivered', 'refunded'];
+
+class ReportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReportError';
+    this.status = status;
+  }
+}
+
+const round2 = (expression) => ({ $round: [expression, 2] });
+const netAmount = { $subtract: ['$totalAmount', { $ifNull: ['$refundedAmount', 0] }] };
+
+function createdAtMatch({ from, to } = {}) {
+  if (!from && !to) return {};
+  return { createdAt: { ...(from && { $gte: from }), ...(to && { $lt: to }) } };
+}
+
+const saleMatch = (filters) => ({ status: { $in: SALE_STATUSES }, ...createdAtMatch(filters) });
+
+function assertPeriod(period) {
+  if (period && !PERIODS.includes(period)) throw new ReportError(`Periodo inválido. Opciones: ${PERIODS.join(', ')}`);
+}
+
+// Inicio del día, semana (lunes) o mes en hora de México
+const periodBucket = (period) => ({
+  $dateTrunc: { date: '$createdAt', unit: period, timezone: REPORT_TIMEZONE, ...(period === 'week' && { startOfWeek: 'monday' }) }
+});
+
+// Ingresos por día, semana (inicia en lunes) o mes
+async function revenueByPeriod(db, filters) {
+  const period = filters.period || 'day';
+  assertPeriod(period);
+  return db.collection('orders').aggregate([
+    { $match: saleMatch(filters) },
+    {
+      $group: {
+        _id: periodBucket(period),
+        orders: { $sum: 1 },
+        subtotal: { $sum: { $ifNull: ['$subtotalAmount', '$totalAmount'] } },
+        discounts: { $sum: { $ifNull: ['$discountAmount', 0] } },
+        shipping: { $sum: { $ifNull: ['$shippingDetails.cost', 0] } },
+        grossRevenue: { $sum: '$totalAmount' },
+        refunds: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+        netRevenue: { $sum: netAmount }
+      }
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        period: '$_id',
+        orders: 1,
+        subtotal: round2('$subtotal'),
+        discounts: round2('$discounts'),
+        shipping: round2('$shipping'),
+        grossRevenue: round2('$grossRevenue'),
+        refunds: round2('$refunds'),
+        netRevenue: round2('$netRevenue')
+      }
+    }
+  ]).toArray();
+}
+
+// Unidades vendidas por producto; el importe ya descuenta el cupón de cada línea
+async function unitsByProduct(db, filters) {
+  return db.collection('orders').aggregate([
+    { $match: saleMatch(filters) },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: '$items.productId',
+        name: { $last: '$items.name' },
+        presentation: { $last: '$items.presentation' },
+        orders: { $sum: 1 },
+        unitsSold: { $sum: '$items.quantity' },
+        unitsReturned: { $sum: { $ifNull: ['$items.restockedQuantity', 0] } },
+        revenue: { $sum: { $subtract: ['$items.totalItemPrice', { $ifNull: ['$items.discountAmount', 0] }] } }
+      }
+    },
+    { $sort: { unitsSold: -1, _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        productId: '$_id',
+        name: 1,
+        presentation: 1,
+        orders: 1,
+        unitsSold: 1,
+        unitsReturned: 1,
+        revenue: round2('$revenue')
+      }
+    }
+  ]).toArray();
+}
+
+// Ticket promedio del rango; con ?period= también desglosado por periodo
+async function averageOrderValue(db, filters) {
+  const { period } = filters;
+  assertPeriod(period);
+  return db.collection('orders').aggregate([
+    { $match: saleMatch(filters) },
+    {
+      $group: {
+        _id: period ? periodBucket(period) : null,
+        orders: { $sum: 1 },
+        grossRevenue: { $sum: '$totalAmount' },
+        netRevenue: { $sum: netAmount },
+        units: { $sum: { $sum: '$items.quantity' } }
+      }
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        period: '$_id',
+        orders: 1,
+        grossRevenue: round2('$grossRevenue'),
+        netRevenue: round2('$netRevenue'),
+        averageOrderValue: round2({ $divide: ['$grossRevenue', '$orders'] }),
+        averageNetOrderValue: round2({ $divide: ['$netRevenue', '$orders'] }),
+        unitsPerOrder: round2({ $divide: ['$units', '$orders'] })
+      }
+    }
+  ]).toArray();
+}
+
+// Resultado de los checkouts del rango. failureRate = fallidas / (pagadas + fallidas);
+// las expiradas (nunca se intentó pagar) y canceladas se reportan aparte.
+async function paymentFailureRate(db, filters) {
+  const { period } = filters;
+  assertPeriod(period);
+  const isStatus = (statuses) => ({ $cond: [{ $in: ['$status', statuses] }, 1, 0] });
+  const rows = await db.collection('orders').aggregate([
+    { $match: createdAtMatch(filters) },
+    {
+      $group: {
+        _id: period ? periodBucket(period) : null,
+        checkouts: { $sum: 1 },
+        paid: { $sum: isStatus(SALE_STATUSES) },
+        failed: { $sum: isStatus(['failed']) },
+        expired: { $sum: isStatus(['expired']) },
+        cancelled: { $sum: isStatus(['cancelled']) },
+        pending: { $sum: isStatus(['pending_payment']) }
+      }
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, period: '$_id', checkouts: 1, paid: 1, failed: 1, expired: 1, cancelled: 1, pending: 1 } }
+  ]).toArray();
+  return rows.map(row => ({
+    ...row,
+    failureRate: row.paid + row.failed > 0 ? Math.round((row.failed / (row.paid + row.failed)) * 10000) / 10000 : null,
+    conversionRate: row.checkouts > 0 ? Math.round((row.paid / row.checkouts) * 10000) / 10000 : null
+  }));
+}
+
+// Ventas por empleado que refirió la orden (?employeeId= para uno solo)
+async function salesByEmployee(db, filters) {
+  const match = { ...saleMatch(filters), referralCode: { $ne: null } };
+  if (filters.employeeId) {
+    if (!ObjectId.isValid(filters.employeeId)) throw new ReportError('ID de empleado inválido');
+    const employee = await db.collection('employees').findOne({ _id: new ObjectId(filters.employeeId) }, { projection: { referralCode: 1 } });
+    match.referralCode = employee?.referralCode ?? '__sin_empleado__';
+  }
+  return db.collection('orders').aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$referralCode',
+        orders: { $sum: 1 },
+        units: { $sum: { $sum: '$items.quantity' } },
+        grossRevenue: { $sum: '$totalAmount' },
+        netRevenue: { $sum: netAmount }
+      }
+    },
+    { $lookup: { from: 'employees', localField: '_id', foreignField: 'referralCode', as: 'employee' } },
+    { $unwind: { path: '$employee', preserveNullAndEmptyArrays: true } },
+    { $sort: { netRevenue: -1 } },
+    {
+      $project: {
+        _id: 0,
+        employeeId: '$employee._id',
+        employeeName: '$employee.name',
+        referralCode: '$_id',
+        orders: 1,
+        units: 1,
+        grossRevenue: round2('$grossRevenue'),
+        netRevenue: round2('$netRevenue'),
+        averageOrderValue: round2({ $divide: ['$grossRevenue', '$orders'] })
+      }
+    }
+  ]).toArray();
+}
+
+// Manifiesto de envío: órdenes despachadas en el rango (por fecha de despacho) con domicilio y guía
+async function shippingManifest(db, { from, to } = {}) {
+  const match = { status: { $in: ['shipped', 'delivered'] } };
+  if (from || to) match.shippedAt = { ...(from && { $gte: from }), ...(to && { $lt: to }) };
+  const orders = await db.collection('orders')
+    .find(match, { projection: { customerDetails: 1, items: 1, shippingDetails: 1, shippedAt: 1, status: 1, totalAmount: 1 } })
+    .sort({ shippedAt: 1, _id: 1 })
+    .toArray();
+  return orders.map(order => {
+    const address = order.customerDetails?.address || {};
+    return {
+      orderId: order._id.toString(),
+      orderNumber: order._id.toString().slice(-8).toUpperCase(),
+      shippedAt: order.shippedAt,
+      status: order.status,
+      customerName: order.customerDetails?.name || '',
+      phone: order.customerDetails?.phone || '',
+      email: order.customerDetails?.email || '',
+      street: [address.street, address.exteriorNumber, address.interiorNumber && `Int. ${address.interiorNumber}`].filter(Boolean).join(' '),
+      neighborhood: address.neighborhood || '',
+      city: address.city || '',
+      state: address.state || '',
+      postalCode: address.postalCode || '',
+      references: address.references || '',
+      shippingMethod: order.shippingDetails?.method || '',
+      carrier: order.shippingDetails?.carrier || '',
+      trackingNumber: order.shippingDetails?.trackingNumber || '',
+      items: (order.items || []).map(item => `${item.quantity} x ${item.name}${item.presentation ? ` (${item.presentation})` : ''}`).join('; '),
+      units: (order.items || []).reduce((sum, item) => sum + item.quantity, 0),
+      totalAmount: order.totalAmount
+    };
+  });
+}
+
+// Definición de cada reporte: cómo se calcula y qué columnas lleva al exportarlo
+const REPORTS = {
+  revenue: {
+    title: 'Ingresos',
+    run: revenueByPeriod,
+    columns: [
+      { key: 'period', header: 'Periodo', type: 'date' },
+      { key: 'orders', header: 'Órdenes', type: 'number' },
+      { key: 'subtotal', header: 'Subtotal', type: 'money' },
+      { key: 'discounts', header: 'Descuentos', type: 'money' },
+      { key: 'shipping', header: 'Envío', type: 'money' },
+      { key: 'grossRevenue', header: 'Ingreso bruto', type: 'money' },
+      { key: 'refunds', header: 'Reembolsos', type: 'money' },
+      { key: 'netRevenue', header: 'Ingreso neto', type: 'money' }
+    ]
+  },
+  products: {
+    title: 'Unidades por producto',
+    run: unitsByProduct,
+    columns: [
+      { key: 'productId', header: 'ID producto' },
+      { key: 'name', header: 'Producto' },
+      { key: 'presentation', header: 'Presentación' },
+      { key: 'orders', header: 'Órdenes', type: 'number' },
+      { key: 'unitsSold', header: 'Unidades vendidas', type: 'number' },
+      { key: 'unitsReturned', header: 'Unidades devueltas', type: 'number' },
+      { key: 'revenue', header: 'Importe', type: 'money' }
+    ]
+  },
+  'average-order-value': {
+    title: 'Ticket promedio',
+    run: averageOrderValue,
+    columns: [
+      { key: 'period', header: 'Periodo', type: 'date' },
+      { key: 'orders', header: 'Órdenes', type: 'number' },
+      { key: 'grossRevenue', header: 'Ingreso bruto', type: 'money' },
+      { key: 'netRevenue', header: 'Ingreso neto', type: 'money' },
+      { key: 'averageOrderValue', header: 'Ticket promedio', type: 'money' },
+      { key: 'averageNetOrderValue', header: 'Ticket promedio neto', type: 'money' },
+      { key: 'unitsPerOrder', header: 'Piezas por orden', type: 'decimal' }
+    ]
+  },
+  'payment-failures': {
+    title: 'Pagos fallidos',
+    run: paymentFailureRate,
+    columns: [
+      { key: 'period', header: 'Periodo', type: 'date' },
+      { key: 'checkouts', header: 'Checkouts', type: 'number' },
+      { key: 'paid', header: 'Pagadas', type: 'number' },
+      { key: 'failed', header: 'Fallidas', type: 'number' },
+      { key: 'expired', header: 'Expiradas', type: 'number' },
+      { key: 'cancelled', header: 'Canceladas', type: 'number' },
+      { key: 'pending', header: 'En espera de pago', type: 'number' },
+      { key: 'failureRate', header: 'Tasa de fallo', type: 'percent' },
+      { key: 'conversionRate', header: 'Conversión', type: 'percent' }
+    ]
+  },
+  employees: {
+    title: 'Ventas por empleado',
+    run: salesByEmployee,
+    columns: [
+      { key: 'employeeName', header: 'Empleado' },
+      { key: 'referralCode', header: 'Código de referido' },
+      { key: 'orders', header: 'Órdenes', type: 'number' },
+      { key: 'units', header: 'Piezas', type: 'number' },
+      { key: 'grossRevenue', header: 'Ingreso bruto', type: 'money' },
+      { key: 'netRevenue', header: 'Ingreso neto', type: 'money' },
+      { key: 'averageOrderValue', header: 'Ticket promedio', type: 'money' }
+    ]
+  },
+  'shipping-manifest': {
+    title: 'Manifiesto de envío',
+    run: shippingManifest,
+    columns: [
+      { key: 'orderNumber', header: 'Pedido' },
+      { key: 'shippedAt', header: 'Despachado', type: 'datetime' },
+      { key: 'customerName', header: 'Cliente' },
+      { key: 'phone', header: 'Teléfono' },
+      { key: 'street', header: 'Calle y número' },
+      { key: 'neighborhood', header: 'Colonia' },
+      { key: 'city', header: 'Ciudad' },
+      { key: 'state', header: 'Estado' },
+      { key: 'postalCode', header: 'C.P.' },
+      { key: 'references', header: 'Referencias' },
+      { key: 'shippingMethod', header: 'Método de envío' },
+      { key: 'carrier', header: 'Paquetería' },
+      { key: 'trackingNumber', header: 'Guía' },
+      { key: 'items', header: 'Contenido' },
+      { key: 'units', header: 'Piezas', type: 'number' },
+      { key: 'totalAmount', header: 'Total', type: 'money' }
+    ]
+  }
+};
+
+async function runReport(db, name, filters) {
+  // hasOwn: 'constructor' o 'toString' no son reportes aunque existan en el prototipo
+  const report = Object.hasOwn(REPORTS, name) ? REPORTS[name] : null;
+  if (!report) throw new ReportError(`Reporte desconocido. Opciones: ${Object.keys(REPORTS).join(', ')}`, 404);
+  const rows = await report.run(db, filters);
+  return { title: report.title, columns: report.columns, rows };
+}
+
+module.exports = {
+  ReportError,
+  REPORTS,
+  runReport
+};
@@ -0,0 +1,319 @@
+const { CheckoutError, toCents, fromCents } = require('./checkoutService');
+
+// --- Métodos de envío, tarifas y validación de domicilio ---
+// Cada documento de 'shipping_methods' define sus zonas (por estado o por prefijo de código postal)
+// y dentro de cada zona tarifas escalonadas por peso (kg) o por número de piezas.
+//
+// {
+//   methodId: 'estafeta-estandar', name: 'Estándar', carrier: 'Estafeta', active: true,
+//   tierBasis: 'weight' | 'quantity', freeShippingThreshold: 999 | null,
+//   estimatedDays: { min: 3, max: 7 },
+//   zones: [{ name: 'Centro', states: ['CDMX', 'MEX'], postalCodePrefixes: [], tiers: [{ upTo: 1, cost: 99 }, { upTo: null, cost: 149 }] }]
+// }
+//
+// Una zona sin estados ni prefijos cubre el resto del país. Un prefijo de código postal tiene
+// prioridad sobre el estado; si ninguna zona ni tarifa aplica, el método no está disponible.
+
+// Claves de estado (las mismas abreviaturas que usa RENAPO) y su nombre
+const MX_STATES = {
+  AGS: 'Aguascalientes', BC: 'Baja California', BCS: 'Baja California Sur', CAMP: 'Campeche',
+  CHIS: 'Chiapas', CHIH: 'Chihuahua', CDMX: 'Ciudad de México', COAH: 'Coahuila', COL: 'Colima',
+  DGO: 'Durango', GTO: 'Guanajuato', GRO: 'Guerrero', HGO: 'Hidalgo', JAL: 'Jalisco', MEX: 'Estado de México',
+  MICH: 'Michoacán', MOR: 'Morelos', NAY: 'Nayarit', NL: 'Nuevo León', OAX: 'Oaxaca', PUE: 'Puebla',
+  QRO: 'Querétaro', QROO: 'Quintana Roo', SLP: 'San Luis Potosí', SIN: 'Sinaloa', SON: 'Sonora',
+  TAB: 'Tabasco', TAMPS: 'Tamaulipas', TLAX: 'Tlaxcala', VER: 'Veracruz', YUC: 'Yucatán', ZAC: 'Zacatecas'
+};
+// Nombres alternos frecuentes en formularios
+const STATE_ALIASES = {
+  'distrito federal': 'CDMX', df: 'CDMX', 'mexico': 'MEX', 'edomex': 'MEX', 'estado de mexico': 'MEX',
+  'coahuila de zaragoza': 'COAH', 'michoacan de ocampo': 'MICH', 'veracruz de ignacio de la llave': 'VER'
+};
+
+const TIER_BASES = ['weight', 'quantity'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const POSTAL_CODE_PATTERN = /^\d{5}$/;
+
+class ShippingConfigError extends Error {
+  constructor(message, status = 400, details = null) {
+    super(message);
+    this.name = 'ShippingConfigError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const normalizeText = (value) => String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+
+const STATE_LOOKUP = new Map([
+  ...Object.keys(MX_STATES).map(code => [code.toLowerCase(), code]),
+  ...Object.entries(MX_STATES).map(([code, name]) => [normalizeText(name), code]),
+  ...Object.entries(STATE_ALIASES)
+]);
+
+// Acepta la clave ('JAL') o el nombre con o sin acentos ('Michoacan'); devuelve la clave o null
+const normalizeState = (value) => (typeof value === 'string' ? STATE_LOOKUP.get(normalizeText(value)) || null : null);
+
+const cleanText = (value, maxLength = 200) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null);
+
+// Valida datos de contacto y domicilio de entrega. Devuelve customerDetails normalizado
+// o lanza CheckoutError INVALID_ADDRESS con la lista de campos con error.
+// Solo se guardan los campos validados; cualquier otra clave que mande el cliente se descarta.
+function validateCustomerDetails(customerDetails) {
+  const details = customerDetails && typeof customerDetails === 'object' ? customerDetails : {};
+  const address = details.address && typeof details.address === 'object' ? details.address : {};
+  const errors = [];
+
+  const name = cleanText(details.name);
+  if (!name) errors.push({ field: 'name', message: 'Nombre requerido' });
+  const email = cleanText(details.email)?.toLowerCase() || null;
+  if (!email || !EMAIL_PATTERN.test(email)) errors.push({ field: 'email', message: 'Email inválido' });
+  // Teléfono a 10 dígitos; se toleran espacios, guiones y el prefijo +52
+  const phone = typeof details.phone === 'string' || typeof details.phone === 'number'
+    ? String(details.phone).replace(/[\s\-().]/g, '').replace(/^\+?52(?=\d{10}$)/, '')
+    : '';
+  if (!/^\d{10}$/.test(phone)) errors.push({ field: 'phone', message: 'El teléfono debe tener 10 dígitos' });
+
+  const normalizedAddress = {
+    street: cleanText(address.street),
+    exteriorNumber: cleanText(address.exteriorNumber, 20),
+    interiorNumber: cleanText(address.interiorNumber, 20),
+    neighborhood: cleanText(address.neighborhood),
+    city: cleanText(address.city),
+    state: normalizeState(address.state),
+    postalCode: typeof address.postalCode === 'string' || typeof address.postalCode === 'number' ? String(address.postalCode).trim() : null,
+    references: cleanText(address.references, 500)
+  };
+  for (const [field, label] of [['street', 'Calle'], ['exteriorNumber', 'Número exterior'], ['neighborhood', 'Colonia'], ['city', 'Ciudad o municipio']]) {
+    if (!normalizedAddress[field]) errors.push({ field: `address.${field}`, message: `${label} requerido` });
+  }
+  if (!normalizedAddress.state) errors.push({ field: 'address.state', message: 'Estado inválido' });
+  if (!POSTAL_CODE_PATTERN.test(normalizedAddress.postalCode || '')) {
+    errors.push({ field: 'address.postalCode', message: 'El código postal debe tener 5 dígitos' });
+  }
+
+  if (errors.length > 0) throw new CheckoutError('Los datos de envío son inválidos.', 'INVALID_ADDRESS', errors);
+  return { name, email, phone, address: normalizedAddress };
+}
+
+// Zona que aplica al domicilio: primero por prefijo de código postal (el más largo), luego por estado,
+// al final la zona general (sin estados ni prefijos)
+function findZone(method, { state, postalCode }) {
+  const zones = method.zones || [];
+  let best = null;
+  for (const zone of zones) {
+    const prefix = (zone.postalCodePrefixes || []).filter(p => postalCode && postalCode.startsWith(p)).sort((a, b) => b.length - a.length)[0];
+    if (prefix && (!best || best.prefixLength < prefix.length)) best = { zone, prefixLength: prefix.length };
+  }
+  if (best) return best.zone;
+  return zones.find(zone => (zone.states || []).includes(state))
+    || zones.find(zone => !(zone.states || []).length && !(zone.postalCodePrefixes || []).length)
+    || null;
+}
+
+// Peso total (kg) y piezas del carrito ya tarificado por priceCart
+function measureCart(pricedCart) {
+  let weightKg = 0;
+  let quantity = 0;
+  for (const item of pricedCart.items) {
+    const product = pricedCart.products.get(item.productId);
+    weightKg += (typeof product?.weightKg === 'number' ? product.weightKg : 0) * item.quantity;
+    quantity += item.quantity;
+  }
+  return { weightKg: Math.round(weightKg * 1000) / 1000, quantity };
+}
+
+// Costo de un método para el carrito y domicilio; null si el método no cubre ese destino o volumen
+function quoteMethod(method, pricedCart, address) {
+  const zone = findZone(method, address);
+  if (!zone) return null;
+  const { weightKg, quantity } = measureCart(pricedCart);
+  const measure = method.tierBasis === 'quantity' ? quantity : weightKg;
+  const tier = [...(zone.tiers || [])]
+    .sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity))
+    .find(candidate => candidate.upTo === null || candidate.upTo === undefined || measure <= candidate.upTo);
+  if (!tier) return null;
+
+  const freeShipping = typeof method.freeShippingThreshold === 'number'
+    && toCents(pricedCart.totalAmount) >= toCents(method.freeShippingThreshold);
+  return {
+    methodId: method.methodId,
+    name: method.name,
+    carrier: method.carrier || null,
+    zone: zone.name || null,
+    estimatedDays: method.estimatedDays || null,
+    cost: freeShipping ? 0 : fromCents(toCents(tier.cost)),
+    freeShipping,
+    freeShippingThreshold: method.freeShippingThreshold ?? null,
+    // Cuánto falta para el envío gratis, útil para mostrarlo en el carrito
+    amountToFreeShipping: typeof method.freeShippingThreshold === 'number' && !freeShipping
+      ? fromCents(toCents(method.freeShippingThreshold) - toCents(pricedCart.totalAmount))
+      : null
+  };
+}
+
+// Opciones de envío disponibles para el carrito, de la más barata a la más cara
+async function quoteShippingOptions(db, pricedCart, address, { session } = {}) {
+  const methods = await db.collection('shipping_methods').find({ active: true }, { session }).toArray();
+  return methods
+    .map(method => quoteMethod(method, pricedCart, address))
+    .filter(Boolean)
+    .sort((a, b) => a.cost - b.cost || a.name.localeCompare(b.name));
+}
+
+// Cotiza el método elegido por el cliente; lanza CheckoutError si no existe o no cubre el destino
+async function resolveShipping(db, pricedCart, address, methodId, { session } = {}) {
+  if (!methodId || typeof methodId !== 'string') {
+    throw new CheckoutError('Selecciona un método de envío.', 'SHIPPING_METHOD_REQUIRED');
+  }
+  const method = await db.collection('shipping_methods').findOne({ methodId, active: true }, { session });
+  const quote = method ? quoteMethod(method, pricedCart, address) : null;
+  if (!quote) {
+    throw new CheckoutError('El método de envío seleccionado no está disponible para tu domicilio o pedido.', 'SHIPPING_UNAVAILABLE', [{ shippingMethodId: methodId }]);
+  }
+  return quote;
+}
+
+// --- Administración de métodos de envío ---
+function parseShippingMethodInput(body, { partial = false } = {}) {
+  if (!body || typeof body !== 'object') throw new ShippingConfigError('Datos del método de envío requeridos');
+  const fields = {};
+  const errors = [];
+  const isMoney = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+  for (const field of ['name', 'carrier']) {
+    if (body[field] === undefined) continue;
+    if (!cleanText(body[field], 100)) errors.push({ field, message: 'Debe ser un texto no vacío' });
+    else fields[field] = cleanText(body[field], 100);
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') errors.push({ field: 'active', message: 'Debe ser true o false' });
+    else fields.active = body.active;
+  }
+  if (body.tierBasis !== undefined) {
+    if (!TIER_BASES.includes(body.tierBasis)) errors.push({ field: 'tierBasis', message: `Opciones: ${TIER_BASES.join(', ')}` });
+    else fields.tierBasis = body.tierBasis;
+  }
+  if (body.freeShippingThreshold !== undefined) {
+    if (body.freeShippingThreshold !== null && !isMoney(body.freeShippingThreshold)) {
+      errors.push({ field: 'freeShippingThreshold', message: 'Debe ser un monto en MXN o null' });
+    } else {
+      fields.freeShippingThreshold = body.freeShippingThreshold;
+    }
+  }
+  if (body.estimatedDays !== undefined) {
+    const { min, max } = body.estimatedDays || {};
+    if (body.estimatedDays !== null && (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < min)) {
+      errors.push({ field: 'estimatedDays', message: 'Debe ser { min, max } en días, con min <= max' });
+    } else {
+      fields.estimatedDays = body.estimatedDays && { min, max };
+    }
+  }
+  if (body.zones !== undefined) {
+    if (!Array.isArray(body.zones) || body.zones.length === 0) {
+      errors.push({ field: 'zones', message: 'Debe ser una lista con al menos una zona' });
+    } else {
+      fields.zones = body.zones.map((zone, index) => {
+        const path = `zones[${index}]`;
+        const states = Array.isArray(zone?.states) ? zone.states.map(normalizeState) : [];
+        if (states.includes(null)) errors.push({ field: `${path}.states`, message: 'Contiene un estado inválido' });
+        const prefixes = Array.isArray(zone?.postalCodePrefixes) ? zone.postalCodePrefixes.map(String) : [];
+        if (prefixes.some(prefix => !/^\d{1,5}$/.test(prefix))) {
+          errors.push({ field: `${path}.postalCodePrefixes`, message: 'Cada prefijo debe tener de 1 a 5 dígitos' });
+        }
+        const tiers = Array.isArray(zone?.tiers) ? zone.tiers : [];
+        const validTiers = tiers.length > 0 && tiers.every(tier => isMoney(tier?.cost)
+          && (tier.upTo === null || tier.upTo === undefined || (typeof tier.upTo === 'number' && tier.upTo > 0)));
+        if (!validTiers) errors.push({ field: `${path}.tiers`, message: 'Debe ser una lista de { upTo, cost }; upTo null para el último escalón' });
+        return {
+          name: cleanText(zone?.name, 100) || `Zona ${index + 1}`,
+          states,
+          postalCodePrefixes: prefixes,
+          tiers: tiers.map(tier => ({ upTo: tier?.upTo ?? null, cost: tier?.cost }))
+        };
+      });
+    }
+  }
+
+  if (!partial) {
+    for (const field of ['name', 'zones']) {
+      if (fields[field] === undefined && !errors.some(error => error.field === field)) errors.push({ field, message: 'Campo requerido' });
+    }
+    fields.tierBasis = fields.tierBasis || 'weight';
+    if (fields.active === undefined) fields.active = true;
+  }
+  if (errors.length > 0) throw new ShippingConfigError('Datos del método de envío inválidos', 400, errors);
+  return fields;
+}
+
+async function createShippingMethod(db, { body, actor }) {
+  const methodId = typeof body?.methodId === 'string' ? body.methodId.trim() : '';
+  if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(methodId)) {
+    throw new ShippingConfigError('methodId requerido: minúsculas, números y guiones (ej. "estafeta-estandar")');
+  }
+  const fields = parseShippingMethodInput(body);
+  const now = new Date();
+  const method = { methodId, freeShippingThreshold: null, estimatedDays: null, carrier: null, ...fields, createdAt: now, createdBy: actor, updatedAt: now, updatedBy: actor };
+  try {
+    await db.collection('shipping_methods').insertOne(method);
+  } catch (error) {
+    if (error?.code === 11000) throw new ShippingConfigError(`Ya existe un método de envío con el ID "${methodId}"`, 409);
+    throw error;
+  }
+  return method;
+}
+
+async function updateShippingMethod(db, methodId, { body, actor }) {
+  const fields = parseShippingMethodInput(body, { partial: true });
+  if (Object.keys(fields).length === 0) throw new ShippingConfigError('No hay campos para actualizar');
+  const method = await db.collection('shipping_methods').findOneAndUpdate(
+    { methodId },
+    { $set: { ...fields, updatedAt: new Date(), updatedBy: actor } },
+    { returnDocument: 'after' }
+  );
+  if (!method) throw new ShippingConfigError('Método de envío no encontrado', 404);
+  return method;
+}
+
+async function ensureShippingIndexes(db) {
+  await db.collection('shipping_methods').createIndex({ methodId: 1 }, { unique: true });
+}
+
+// El checkout exige un método de envío. En una base sin ninguno (instalación nueva o anterior a los
+// métodos de envío) se crea 'Por definir' sin costo, que es como se registraban las órdenes antes,
+// para que el checkout siga funcionando hasta que un admin configure las tarifas reales.
+// Devuelve el método creado o null si ya había alguno (activo o no).
+async function seedDefaultShippingMethod(db) {
+  const methodsCollection = db.collection('shipping_methods');
+  if (await methodsCollection.countDocuments({}, { limit: 1 }) > 0) return null;
+  const now = new Date();
+  const method = {
+    methodId: 'por-definir',
+    name: 'Por definir',
+    carrier: null,
+    active: true,
+    tierBasis: 'quantity',
+    freeShippingThreshold: null,
+    estimatedDays: null,
+    zones: [{ name: 'Nacional', states: [], postalCodePrefixes: [], tiers: [{ upTo: null, cost: 0 }] }],
+    createdAt: now,
+    updatedAt: now,
+    createdBy: 'system',
+    updatedBy: 'system'
+  };
+  // upsert por methodId: si dos instancias arrancan a la vez solo una lo crea
+  const result = await methodsCollection.updateOne({ methodId: method.methodId }, { $setOnInsert: method }, { upsert: true });
+  return result.upsertedCount > 0 ? method : null;
+}
+
+module.exports = {
+  MX_STATES,
+  ShippingConfigError,
+  normalizeState,
+  validateCustomerDetails,
+  quoteShippingOptions,
+  resolveShipping,
+  createShippingMethod,
+  updateShippingMethod,
+  ensureShippingIndexes,
+  seedDefaultShippingMethod
+};
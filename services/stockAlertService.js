@@ -0,0 +1,109 @@
+const { enqueueEmail } = require('./emailService');
+
+const DEFAULT_VELOCITY_DAYS = 30;
+// Estados de orden que cuentan como venta para la velocidad de ventas
+const SOLD_STATUSES = ['paid', 'preparing', 'shipped', 'delivered'];
+
+// defaultThreshold (config.stockAlerts) aplica a los productos sin lowStockThreshold propio
+const thresholdFor = (product, defaultThreshold) => (Number.isInteger(product.lowStockThreshold) ? product.lowStockThreshold : defaultThreshold);
+
+// --- Alertas de stock bajo ---
+// Se evalúa con cada movimiento de inventario, dentro de su transacción. Solo el cruce del umbral
+// (de arriba hacia abajo) abre una alerta; mientras siga abierta no se repite. Al reabastecer por
+// encima del umbral la alerta se cierra.
+// stockAlerts: config.stockAlerts de loadConfig ({ defaultThreshold, recipients })
+async function evaluateLowStock(db, product, movement, { stockAlerts, session } = {}) {
+  const threshold = thresholdFor(product, stockAlerts.defaultThreshold);
+  const alertsCollection = db.collection('stock_alerts');
+  const now = new Date();
+
+  if (movement.stockAfter <= threshold && movement.stockBefore > threshold) {
+    const result = await alertsCollection.updateOne(
+      { productId: movement.productId, status: 'open' },
+      {
+        $setOnInsert: {
+          productId: movement.productId,
+          productName: product.name || null,
+          threshold,
+          stockAtAlert: movement.stockAfter,
+          triggeredBy: { type: movement.type, orderId: movement.orderId, actor: movement.actor },
+          status: 'open',
+          createdAt: now,
+          resolvedAt: null
+        }
+      },
+      { upsert: true, session }
+    );
+    if (result.upsertedCount > 0) await notifyLowStock(db, product, movement.stockAfter, threshold, { recipients: stockAlerts.recipients, session });
+    return;
+  }
+
+  if (movement.stockAfter > threshold && movement.stockBefore <= threshold) {
+    await alertsCollection.updateMany(
+      { productId: movement.productId, status: 'open' },
+      { $set: { status: 'resolved', resolvedAt: now, stockAtResolution: movement.stockAfter } },
+      { session }
+    );
+  }
+}
+
+// El aviso sale por el outbox de emails, así que con EMAIL_TRANSPORT=file o memory se prueba sin red
+async function notifyLowStock(db, product, stock, threshold, { recipients, session } = {}) {
+  console.warn(`Stock bajo: ${product.productId} llegó a ${stock} unidades (umbral ${threshold}).`);
+  for (const to of recipients) {
+    await enqueueEmail(db, { template: 'low_stock', to, data: { product, stock, threshold } }, { session });
+  }
+}
+
+// Productos activos en o por debajo de su umbral, con unidades vendidas en los últimos `days` días
+// y los días estimados antes de agotarse a ese ritmo
+async function listLowStockProducts(db, { defaultThreshold, days = DEFAULT_VELOCITY_DAYS }) {
+  const products = await db.collection('products').find({
+    name: { $exists: true },
+    active: true,
+    $expr: { $lte: [{ $ifNull: ['$stock', 0] }, { $ifNull: ['$lowStockThreshold', defaultThreshold] }] }
+  }, { projection: { productId: 1, name: 1, presentation: 1, sku: 1, stock: 1, lowStockThreshold: 1 } }).toArray();
+  if (products.length === 0) return [];
+
+  const productIds = products.map(product => product.productId);
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const [sales, openAlerts] = await Promise.all([
+    db.collection('orders').aggregate([
+      { $match: { status: { $in: SOLD_STATUSES }, createdAt: { $gte: since }, 'items.productId': { $in: productIds } } },
+      { $unwind: '$items' },
+      { $match: { 'items.productId': { $in: productIds } } },
+      { $group: { _id: '$items.productId', unitsSold: { $sum: '$items.quantity' }, orders: { $sum: 1 } } }
+    ]).toArray(),
+    db.collection('stock_alerts').find({ productId: { $in: productIds }, status: 'open' }).toArray()
+  ]);
+  const salesByProduct = new Map(sales.map(sale => [sale._id, sale]));
+  const alertByProduct = new Map(openAlerts.map(alert => [alert.productId, alert]));
+
+  return products.map(product => {
+    const { unitsSold = 0, orders = 0 } = salesByProduct.get(product.productId) || {};
+    const stock = product.stock || 0;
+    const unitsPerDay = Math.round((unitsSold / days) * 100) / 100;
+    return {
+      productId: product.productId,
+      name: product.name,
+      presentation: product.presentation || null,
+      sku: product.sku || null,
+      stock,
+      threshold: thresholdFor(product, defaultThreshold),
+      velocity: { days, unitsSold, orders, unitsPerDay },
+      estimatedDaysOfStock: unitsSold > 0 ? Math.floor(stock / (unitsSold / days)) : null,
+      openAlert: alertByProduct.get(product.productId) || null
+    };
+  }).sort((a, b) => (a.estimatedDaysOfStock ?? Infinity) - (b.estimatedDaysOfStock ?? Infinity) || a.stock - b.stock);
+}
+
+async function ensureStockAlertIndexes(db) {
+  await db.collection('stock_alerts').createIndex({ productId: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+  await db.collection('stock_alerts').createIndex({ status: 1, createdAt: -1 });
+}
+
+module.exports = {
+  evaluateLowStock,
+  listLowStockProducts,
+  ensureStockAlertIndexes
+};
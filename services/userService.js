@@ -0,0 +1,230 @@
+const bcrypt = require('bcryptjs');
+const { ObjectId } = require('mongodb');
+const { ROLES, revokeUserSessions } = require('./authService');
+
+// --- Usuarios del back office ---
+// Cuentas de 'dispatchers' (admin, despachador y empleado). Para retirar a alguien conviene desactivar
+// la cuenta (active: false): se cierran sus sesiones y su nombre sigue ligado a la bitácora.
+
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 72; // bcrypt ignora lo que pase de 72 bytes
+const BCRYPT_ROUNDS = 10;
+const PUBLIC_PROJECTION = { password: 0 };
+
+class UserError extends Error {
+  constructor(message, status = 400, details = null) {
+    super(message);
+    this.name = 'UserError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Los usuarios nuevos se guardan en minúsculas; las búsquedas usan el nombre tal cual para no perder
+// cuentas creadas a mano antes de existir esta validación
+const normalizeUsername = (username) => (typeof username === 'string' ? username.trim().toLowerCase() : '');
+const lookupUsername = (username) => (typeof username === 'string' ? username.trim() : '');
+
+const toPublicUser = (user) => {
+  if (!user) return null;
+  const { password, ...publicUser } = user;
+  return publicUser;
+};
+
+function assertValidPassword(password, field = 'password') {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || Buffer.byteLength(password) > MAX_PASSWORD_LENGTH) {
+    throw new UserError('Contraseña inválida', 400, [{ field, message: `Debe tener entre ${MIN_PASSWORD_LENGTH} y ${MAX_PASSWORD_LENGTH} caracteres` }]);
+  }
+}
+
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+// Valida los campos editables. Con partial solo se revisan los que vienen en el body.
+async function parseUserInput(db, body, { partial = false, current = {} } = {}) {
+  if (!body || typeof body !== 'object') throw new UserError('Datos del usuario requeridos');
+  const errors = [];
+  const fields = {};
+
+  if (body.role !== undefined) {
+    if (!Object.values(ROLES).includes(body.role)) errors.push({ field: 'role', message: `Debe ser uno de: ${Object.values(ROLES).join(', ')}` });
+    else fields.role = body.role;
+  } else if (!partial) {
+    errors.push({ field: 'role', message: 'Campo requerido' });
+  }
+  for (const field of ['name', 'email']) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && (typeof body[field] !== 'string' || !body[field].trim())) {
+      errors.push({ field, message: 'Debe ser un texto no vacío o null' });
+    } else {
+      fields[field] = body[field] === null ? null : body[field].trim();
+    }
+  }
+  if (typeof fields.email === 'string') {
+    fields.email = fields.email.toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fields.email)) errors.push({ field: 'email', message: 'Email inválido' });
+  }
+  if (body.employeeId !== undefined) {
+    if (body.employeeId === null) {
+      fields.employeeId = null;
+    } else if (!ObjectId.isValid(body.employeeId)) {
+      errors.push({ field: 'employeeId', message: 'ID de empleado inválido' });
+    } else {
+      const employee = await db.collection('employees').findOne({ _id: new ObjectId(body.employeeId) }, { projection: { _id: 1 } });
+      if (!employee) errors.push({ field: 'employeeId', message: 'Empleado no encontrado' });
+      else fields.employeeId = employee._id;
+    }
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') errors.push({ field: 'active', message: 'Debe ser true o false' });
+    else fields.active = body.active;
+  }
+
+  // Las cuentas de empleado necesitan el empleado al que pertenecen para ver sus referidos
+  const merged = { ...current, ...fields };
+  if (merged.role === ROLES.EMPLOYEE && !merged.employeeId && !errors.some(error => error.field === 'employeeId')) {
+    errors.push({ field: 'employeeId', message: 'Requerido para usuarios con rol employee' });
+  }
+  if (errors.length > 0) throw new UserError('Datos del usuario inválidos', 400, errors);
+  return fields;
+}
+
+// Evita quedarse sin administradores activos al degradar, desactivar o borrar una cuenta
+async function assertAnotherActiveAdmin(db, username) {
+  const otherAdmins = await db.collection('dispatchers').countDocuments({ role: ROLES.ADMIN, active: { $ne: false }, username: { $ne: username } });
+  if (otherAdmins === 0) throw new UserError('Debe quedar al menos un administrador activo', 409);
+}
+
+async function findUserOrThrow(db, username) {
+  const user = await db.collection('dispatchers').findOne({ username: lookupUsername(username) });
+  if (!user) throw new UserError('Usuario no encontrado', 404);
+  return user;
+}
+
+async function listUsers(db, { role, active } = {}) {
+  const filter = {};
+  if (role) filter.role = role;
+  if (active === 'true') filter.active = { $ne: false };
+  if (active === 'false') filter.active = false;
+  return db.collection('dispatchers').find(filter, { projection: PUBLIC_PROJECTION }).sort({ username: 1 }).toArray();
+}
+
+async function getUser(db, username) {
+  return toPublicUser(await findUserOrThrow(db, username));
+}
+
+async function createUser(db, { body, actor }) {
+  const username = normalizeUsername(body?.username);
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new UserError('username requerido: de 3 a 32 letras minúsculas, números, puntos, guiones o guiones bajos');
+  }
+  assertValidPassword(body.password);
+  const fields = await parseUserInput(db, body);
+  const now = new Date();
+  const user = {
+    username,
+    name: null,
+    email: null,
+    employeeId: null,
+    active: true,
+    ...fields,
+    password: await hashPassword(body.password),
+    passwordChangedAt: now,
+    lastLoginAt: null,
+    createdAt: now,
+    createdBy: actor,
+    updatedAt: now,
+    updatedBy: actor
+  };
+  try {
+    const { insertedId } = await db.collection('dispatchers').insertOne(user);
+    user._id = insertedId;
+  } catch (error) {
+    if (error?.code === 11000) throw new UserError(`Ya existe el usuario "${username}"`, 409);
+    throw error;
+  }
+  return toPublicUser(user);
+}
+
+// Un cambio de rol o la desactivación cierran las sesiones abiertas para que aplique de inmediato
+async function updateUser(db, username, { body, actor }) {
+  const current = await findUserOrThrow(db, username);
+  if (body?.username !== undefined && lookupUsername(body.username) !== current.username) {
+    throw new UserError('El nombre de usuario no se puede cambiar');
+  }
+  if (body?.password !== undefined) throw new UserError('Usa el endpoint de restablecer contraseña para cambiarla');
+  const fields = await parseUserInput(db, body, { partial: true, current });
+  if (Object.keys(fields).length === 0) throw new UserError('No hay campos para actualizar');
+
+  const roleChanged = fields.role !== undefined && fields.role !== current.role;
+  const deactivated = fields.active === false && current.active !== false;
+  if (current.username === actor && (roleChanged || deactivated)) {
+    throw new UserError('No puedes cambiar tu propio rol ni desactivar tu propia cuenta', 409);
+  }
+  if (current.role === ROLES.ADMIN && (roleChanged || deactivated)) await assertAnotherActiveAdmin(db, current.username);
+
+  const updated = await db.collection('dispatchers').findOneAndUpdate(
+    { _id: current._id },
+    { $set: { ...fields, updatedAt: new Date(), updatedBy: actor } },
+    { returnDocument: 'after', projection: PUBLIC_PROJECTION }
+  );
+  if (roleChanged || deactivated) await revokeUserSessions(db, current.username);
+  return { user: updated, previous: toPublicUser(current), changes: fields };
+}
+
+async function deleteUser(db, username, { actor }) {
+  const current = await findUserOrThrow(db, username);
+  if (current.username === actor) throw new UserError('No puedes borrar tu propia cuenta', 409);
+  if (current.role === ROLES.ADMIN) await assertAnotherActiveAdmin(db, current.username);
+  await db.collection('dispatchers').deleteOne({ _id: current._id });
+  await revokeUserSessions(db, current.username);
+  return toPublicUser(current);
+}
+
+// Restablecimiento por un admin: cierra todas las sesiones del usuario y levanta su bloqueo de login
+async function resetPassword(db, username, { newPassword, actor }) {
+  const current = await findUserOrThrow(db, username);
+  assertValidPassword(newPassword, 'newPassword');
+  const now = new Date();
+  await db.collection('dispatchers').updateOne(
+    { _id: current._id },
+    { $set: { password: await hashPassword(newPassword), passwordChangedAt: now, updatedAt: now, updatedBy: actor } }
+  );
+  await revokeUserSessions(db, current.username);
+  await db.collection('login_attempts').deleteOne({ key: `user:${current.username}` });
+  return toPublicUser(current);
+}
+
+// Cambio de la propia contraseña: exige la actual y conserva solo la sesión desde la que se hace
+async function changeOwnPassword(db, username, { currentPassword, newPassword, sessionId }) {
+  const current = await findUserOrThrow(db, username);
+  if (typeof currentPassword !== 'string' || !(await bcrypt.compare(currentPassword, current.password))) {
+    throw new UserError('La contraseña actual es incorrecta', 401);
+  }
+  assertValidPassword(newPassword, 'newPassword');
+  if (await bcrypt.compare(newPassword, current.password)) {
+    throw new UserError('La nueva contraseña debe ser distinta a la actual');
+  }
+  const now = new Date();
+  await db.collection('dispatchers').updateOne(
+    { _id: current._id },
+    { $set: { password: await hashPassword(newPassword), passwordChangedAt: now, updatedAt: now, updatedBy: username } }
+  );
+  await revokeUserSessions(db, current.username, { exceptSessionId: sessionId });
+}
+
+async function ensureUserIndexes(db) {
+  await db.collection('dispatchers').createIndex({ username: 1 }, { unique: true });
+}
+
+module.exports = {
+  UserError,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  deleteUser,
+  resetPassword,
+  changeOwnPassword,
+  ensureUserIndexes
+};
@@ -0,0 +1,68 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startTestEnvironment, createBackOfficeUser } = require('./helpers');
+
+describe('App: salud, disponibilidad y login', () => {
+  let env;
+
+  before(async () => {
+    env = await startTestEnvironment();
+  });
+  after(async () => {
+    await env?.stop();
+  });
+  beforeEach(async () => {
+    await env.reset();
+    env.app.locals.shuttingDown = false;
+  });
+
+  it('/health responde mientras el proceso está vivo', async () => {
+    const res = await request(env.app).get('/health');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ok');
+  });
+
+  it('/ready confirma la conexión a MongoDB y responde 503 durante el apagado', async () => {
+    assert.equal((await request(env.app).get('/ready')).status, 200);
+
+    env.app.locals.shuttingDown = true;
+    const res = await request(env.app).get('/ready');
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.status, 'shutting_down');
+  });
+
+  it('rechaza orígenes fuera de la lista de CORS configurada', async () => {
+    const allowed = await request(env.app).get('/api/products').set('Origin', 'http://localhost:5173');
+    const blocked = await request(env.app).get('/api/products').set('Origin', 'https://otro-sitio.example');
+
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.headers['access-control-allow-origin'], 'http://localhost:5173');
+    assert.equal(blocked.headers['access-control-allow-origin'], undefined);
+  });
+
+  it('responde lo mismo si el usuario no existe o la contraseña es incorrecta', async () => {
+    await createBackOfficeUser(env.db, { username: 'admin', role: 'admin', password: 'contrasena-correcta' });
+
+    const unknownUser = await request(env.app).post('/api/auth/dispatcher/login').send({ username: 'nadie', password: 'x' });
+    const wrongPassword = await request(env.app).post('/api/auth/dispatcher/login').send({ username: 'admin', password: 'x' });
+
+    assert.equal(unknownUser.status, 401);
+    assert.equal(wrongPassword.status, 401);
+    assert.equal(unknownUser.body.message, wrongPassword.body.message);
+  });
+
+  it('bloquea la cuenta tras varios intentos fallidos, incluso con la contraseña correcta', async () => {
+    const admin = await createBackOfficeUser(env.db, { username: 'admin', role: 'admin', password: 'contrasena-correcta' });
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await request(env.app).post('/api/auth/dispatcher/login').send({ username: admin.username, password: 'incorrecta' });
+    }
+
+    const res = await request(env.app).post('/api/auth/dispatcher/login').send(admin);
+
+    assert.equal(res.status, 429);
+    assert.equal(res.body.accessToken, undefined);
+  });
+});
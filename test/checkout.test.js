@@ -0,0 +1,282 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { expireStaleOrders } = require('../services/orderExpiryService');
+const { TEST_CONFIG, CUSTOMER, startTestEnvironment, checkout, sendPaymentWebhook } = require('./helpers');
+
+describe('Checkout (/api/create-preference)', () => {
+  let env;
+
+  before(async () => {
+    env = await startTestEnvironment();
+  });
+  after(async () => {
+    await env?.stop();
+  });
+  beforeEach(async () => {
+    await env.reset();
+  });
+
+  const productStock = async (productId) => (await env.db.collection('products').findOne({ productId })).stock;
+
+  it('crea la orden en pending_payment, reserva el stock y manda la preferencia a MercadoPago', async () => {
+    const res = await checkout(env.app, { totalAmount: 850 });
+
+    assert.equal(res.status, 201);
+    assert.ok(res.body.orderId);
+    assert.ok(res.body.lookupToken);
+    assert.equal(res.body.mercadoPagoUrl, 'https://mercadopago.test/checkout/pref-1');
+
+    const order = await env.db.collection('orders').findOne({ _id: new ObjectId(res.body.orderId) });
+    assert.equal(order.status, 'pending_payment');
+    assert.equal(order.subtotalAmount, 700);
+    assert.equal(order.shippingDetails.cost, 150);
+    assert.equal(order.totalAmount, 850);
+    assert.equal(order.paymentDetails.mercadoPagoPreferenceId, 'pref-1');
+    assert.equal(await productStock('vitafer-l-500ml'), 8);
+
+    const movements = await env.db.collection('inventory_movements').find({ orderId: order._id }).toArray();
+    assert.deepEqual(movements.map(movement => [movement.type, movement.quantity]), [['sale_reservation', -2]]);
+
+    // MercadoPago debe cobrar exactamente el total de la orden, envío incluido
+    const [{ body }] = env.mercadoPago.preferences;
+    assert.equal(body.external_reference, res.body.orderId);
+    const charged = body.items.reduce((sum, item) => sum + item.unit_price * item.quantity, 0);
+    assert.equal(charged, 850);
+    assert.ok(body.items.some(item => item.id === 'shipping-estandar'));
+  });
+
+  it('rechaza el checkout si el total del cliente no coincide con el del servidor', async () => {
+    const res = await checkout(env.app, { totalAmount: 700 });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errorType, 'PRICE_MISMATCH');
+    assert.equal(await env.db.collection('orders').countDocuments(), 0);
+    assert.equal(await productStock('vitafer-l-500ml'), 10);
+    assert.equal(env.mercadoPago.preferences.length, 0);
+  });
+
+  it('no vende más unidades de las que hay en stock', async () => {
+    const res = await checkout(env.app, { items: [{ id: 'vitafer-capsulas', quantity: 6 }] });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errorType, 'STOCK_ERROR');
+    assert.equal(await env.db.collection('orders').countDocuments(), 0);
+    assert.equal(await productStock('vitafer-capsulas'), 5);
+  });
+
+  it('exige un domicilio de entrega válido', async () => {
+    const res = await checkout(env.app, { customerDetails: { name: 'María', email: 'maria@example.com', phone: '123', address: {} } });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errorType, 'INVALID_ADDRESS');
+    assert.ok(res.body.details.some(detail => detail.field === 'address.postalCode'));
+  });
+
+  // --- Envío ---
+  // Método por peso y sin envío gratis: tarifa por estado en el centro y por prefijo de código postal en Monterrey
+  const EXPRESS_METHOD = {
+    methodId: 'express',
+    name: 'Envío express',
+    carrier: 'DHL',
+    active: true,
+    tierBasis: 'weight',
+    freeShippingThreshold: null,
+    estimatedDays: { min: 1, max: 2 },
+    zones: [
+      { name: 'Centro', states: ['CDMX', 'MEX'], postalCodePrefixes: [], tiers: [{ upTo: 3, cost: 149 }, { upTo: 1, cost: 99 }] },
+      { name: 'Monterrey', states: [], postalCodePrefixes: ['64'], tiers: [{ upTo: null, cost: 199 }] },
+      { name: 'Monterrey centro', states: [], postalCodePrefixes: ['640'], tiers: [{ upTo: null, cost: 179 }] }
+    ]
+  };
+  const insertExpressMethod = (overrides = {}) => env.db.collection('shipping_methods').insertOne({ ...EXPRESS_METHOD, ...overrides });
+  const withAddress = (address) => ({ customerDetails: { ...CUSTOMER, address: { ...CUSTOMER.address, ...address } } });
+  const shippingOf = async (res) => (await env.db.collection('orders').findOne({ _id: new ObjectId(res.body.orderId) })).shippingDetails;
+
+  it('elige la zona por el prefijo de código postal más largo y, si no hay, por el estado', async () => {
+    await insertExpressMethod();
+    const oneBottle = { items: [{ id: 'vitafer-l-500ml', quantity: 1 }], shippingMethodId: 'express' };
+
+    const cdmx = await checkout(env.app, oneBottle);
+    const monterreyCentro = await checkout(env.app, { ...oneBottle, ...withAddress({ city: 'Monterrey', state: 'NL', postalCode: '64000' }) });
+    const monterrey = await checkout(env.app, { ...oneBottle, ...withAddress({ city: 'Monterrey', state: 'Nuevo León', postalCode: '64700' }) });
+
+    assert.deepEqual([cdmx.status, monterreyCentro.status, monterrey.status], [201, 201, 201]);
+    assert.deepEqual(
+      [await shippingOf(cdmx), await shippingOf(monterreyCentro), await shippingOf(monterrey)].map(({ zone, cost }) => [zone, cost]),
+      [['Centro', 99], ['Monterrey centro', 179], ['Monterrey', 199]]
+    );
+  });
+
+  it('cobra la tarifa del escalón de peso que corresponde y rechaza pedidos que exceden el último', async () => {
+    await insertExpressMethod();
+
+    // 6 × 0.6 kg = 3.6 kg no tiene tarifa; 2 botellas (1.2 kg) y 5 (3 kg) caen en el escalón "hasta 3 kg"
+    const tooHeavy = await checkout(env.app, { items: [{ id: 'vitafer-l-500ml', quantity: 6 }], shippingMethodId: 'express' });
+    const twoBottles = await checkout(env.app, { items: [{ id: 'vitafer-l-500ml', quantity: 2 }], shippingMethodId: 'express', totalAmount: 849 });
+    const fiveBottles = await checkout(env.app, { items: [{ id: 'vitafer-l-500ml', quantity: 5 }], shippingMethodId: 'express', totalAmount: 1899 });
+
+    assert.equal(tooHeavy.status, 400);
+    assert.equal(tooHeavy.body.errorType, 'SHIPPING_UNAVAILABLE');
+    assert.equal(twoBottles.status, 201);
+    assert.equal((await shippingOf(twoBottles)).cost, 149);
+    assert.equal(fiveBottles.status, 201);
+    assert.equal((await shippingOf(fiveBottles)).cost, 149);
+  });
+
+  it('no cobra envío cuando el subtotal alcanza el umbral de envío gratis', async () => {
+    // Método estándar: 150 MXN, gratis desde 2000 MXN
+    const below = await checkout(env.app, { items: [{ id: 'vitafer-l-500ml', quantity: 5 }], totalAmount: 1900 });
+    const above = await checkout(env.app, { items: [{ id: 'vitafer-l-500ml', quantity: 5 }, { id: 'vitafer-capsulas', quantity: 1 }], totalAmount: 2170.5 });
+
+    assert.equal(below.status, 201);
+    assert.deepEqual(await shippingOf(below).then(({ cost, freeShipping }) => [cost, freeShipping]), [150, false]);
+    assert.equal(above.status, 201);
+    assert.deepEqual(await shippingOf(above).then(({ cost, freeShipping }) => [cost, freeShipping]), [0, true]);
+    // Sin costo de envío no se agrega la línea de envío a la preferencia
+    assert.ok(!env.mercadoPago.preferences[1].body.items.some(item => item.id === 'shipping-estandar'));
+  });
+
+  it('exige elegir un método de envío activo que cubra el domicilio', async () => {
+    await insertExpressMethod();
+    await insertExpressMethod({ methodId: 'express-pausado', active: false });
+
+    const missing = await checkout(env.app, { shippingMethodId: undefined });
+    const unknown = await checkout(env.app, { shippingMethodId: 'inexistente' });
+    const inactive = await checkout(env.app, { shippingMethodId: 'express-pausado' });
+    const uncovered = await checkout(env.app, { shippingMethodId: 'express', ...withAddress({ city: 'Guadalajara', state: 'JAL', postalCode: '44100' }) });
+
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.errorType, 'SHIPPING_METHOD_REQUIRED');
+    for (const res of [unknown, inactive, uncovered]) {
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errorType, 'SHIPPING_UNAVAILABLE');
+    }
+    assert.equal(await env.db.collection('orders').countDocuments(), 0);
+    assert.equal(await productStock('vitafer-l-500ml'), 10);
+  });
+
+  it('cancela la orden y devuelve el stock si MercadoPago no crea la preferencia', async () => {
+    env.mercadoPago.failNextPreference = new Error('MercadoPago no disponible');
+
+    const res = await checkout(env.app);
+
+    assert.equal(res.status, 500);
+    const [order] = await env.db.collection('orders').find().toArray();
+    assert.equal(order.status, 'cancelled');
+    assert.equal(await productStock('vitafer-l-500ml'), 10);
+  });
+
+  // --- Cupones ---
+  const insertCoupon = async (overrides = {}) => {
+    const coupon = {
+      code: 'BIENVENIDA10', type: 'percentage', value: 10, minOrderAmount: null, maxDiscountAmount: null,
+      usageLimit: null, perCustomerLimit: null, productIds: [], startsAt: null, endsAt: null, active: true,
+      redeemedCount: 0, createdAt: new Date(), ...overrides
+    };
+    await env.db.collection('coupons').insertOne(coupon);
+    return coupon;
+  };
+  const findCoupon = (code) => env.db.collection('coupons').findOne({ code });
+  const redemptionOf = (orderId) => env.db.collection('coupon_redemptions').findOne({ orderId: new ObjectId(orderId) });
+
+  it('aplica el cupón a los productos (no al envío) y MercadoPago cobra el total con descuento', async () => {
+    await insertCoupon();
+
+    const res = await checkout(env.app, { couponCode: ' bienvenida10 ', totalAmount: 780 });
+
+    assert.equal(res.status, 201);
+    const order = await env.db.collection('orders').findOne({ _id: new ObjectId(res.body.orderId) });
+    assert.equal(order.subtotalAmount, 700);
+    assert.equal(order.discountAmount, 70);
+    assert.equal(order.discount.code, 'BIENVENIDA10');
+    assert.equal(order.items[0].discountAmount, 70);
+    assert.equal(order.shippingDetails.cost, 150);
+    assert.equal(order.totalAmount, 780);
+    assert.equal((await redemptionOf(res.body.orderId)).status, 'active');
+    assert.equal((await findCoupon('BIENVENIDA10')).redeemedCount, 1);
+
+    const [{ body }] = env.mercadoPago.preferences;
+    const productLines = body.items.filter(item => item.id === 'vitafer-l-500ml');
+    assert.deepEqual(productLines.map(({ quantity, unit_price: unitPrice }) => [quantity, unitPrice]), [[2, 315]]);
+    assert.equal(body.items.reduce((sum, item) => sum + item.unit_price * item.quantity, 0), 780);
+  });
+
+  it('respeta el límite total de usos y el límite por cliente', async () => {
+    await insertCoupon({ code: 'UNICO', usageLimit: 1 });
+    await insertCoupon({ code: 'UNOPORCLIENTE', perCustomerLimit: 1 });
+
+    assert.equal((await checkout(env.app, { couponCode: 'UNICO' })).status, 201);
+    const exhausted = await checkout(env.app, { couponCode: 'UNICO', customerDetails: { ...CUSTOMER, email: 'otra@example.com' } });
+    assert.equal(exhausted.status, 400);
+    assert.equal(exhausted.body.errorType, 'COUPON_EXHAUSTED');
+
+    assert.equal((await checkout(env.app, { couponCode: 'UNOPORCLIENTE' })).status, 201);
+    const sameCustomer = await checkout(env.app, { couponCode: 'UNOPORCLIENTE', customerDetails: { ...CUSTOMER, email: 'MARIA@example.com' } });
+    assert.equal(sameCustomer.status, 400);
+    assert.equal(sameCustomer.body.errorType, 'COUPON_CUSTOMER_LIMIT');
+    assert.equal((await checkout(env.app, { couponCode: 'UNOPORCLIENTE', customerDetails: { ...CUSTOMER, email: 'otra@example.com' } })).status, 201);
+
+    assert.equal((await findCoupon('UNICO')).redeemedCount, 1);
+    assert.equal((await findCoupon('UNOPORCLIENTE')).redeemedCount, 2);
+    assert.equal(await env.db.collection('orders').countDocuments(), 3);
+    assert.equal(await productStock('vitafer-l-500ml'), 4);
+  });
+
+  it('rechaza cupones vencidos o que aún no empiezan sin crear la orden', async () => {
+    const day = 24 * 60 * 60 * 1000;
+    await insertCoupon({ code: 'VENCIDO', endsAt: new Date(Date.now() - day) });
+    await insertCoupon({ code: 'PROXIMO', startsAt: new Date(Date.now() + day) });
+
+    const expired = await checkout(env.app, { couponCode: 'VENCIDO' });
+    const notStarted = await checkout(env.app, { couponCode: 'PROXIMO' });
+
+    assert.equal(expired.status, 400);
+    assert.equal(expired.body.errorType, 'COUPON_EXPIRED');
+    assert.equal(notStarted.status, 400);
+    assert.equal(notStarted.body.errorType, 'COUPON_NOT_STARTED');
+    assert.equal(await env.db.collection('orders').countDocuments(), 0);
+    assert.equal(await productStock('vitafer-l-500ml'), 10);
+    assert.equal(env.mercadoPago.preferences.length, 0);
+  });
+
+  it('libera el cupón cuando el pago de la orden es rechazado', async () => {
+    await insertCoupon({ code: 'UNICO', usageLimit: 1 });
+    const res = await checkout(env.app, { couponCode: 'UNICO' });
+    assert.equal(res.status, 201);
+
+    env.mercadoPago.setPayment({ id: 601, status: 'rejected', external_reference: res.body.orderId, transaction_amount: 780 });
+    assert.equal((await sendPaymentWebhook(env.app, 601)).status, 200);
+
+    const redemption = await redemptionOf(res.body.orderId);
+    assert.equal(redemption.status, 'released');
+    assert.match(redemption.releaseReason, /rejected/);
+    assert.equal((await findCoupon('UNICO')).redeemedCount, 0);
+    assert.equal((await checkout(env.app, { couponCode: 'UNICO' })).status, 201); // Vuelve a estar disponible
+  });
+
+  it('libera el cupón cuando la reserva de la orden expira sin pago', async () => {
+    await insertCoupon({ code: 'UNICO', usageLimit: 1 });
+    const res = await checkout(env.app, { couponCode: 'UNICO' });
+    assert.equal(res.status, 201);
+    const ttlMinutes = TEST_CONFIG.orderExpiry.reservationTtlMinutes;
+    await env.db.collection('orders').updateOne(
+      { _id: new ObjectId(res.body.orderId) },
+      { $set: { createdAt: new Date(Date.now() - (ttlMinutes + 1) * 60 * 1000) } }
+    );
+
+    const summary = await expireStaleOrders({
+      db: env.db,
+      mongoClient: env.mongoClient,
+      payment: env.mercadoPago.payment,
+      frontendUrl: TEST_CONFIG.frontendUrl,
+      stockAlerts: TEST_CONFIG.stockAlerts,
+      ttlMinutes
+    });
+
+    assert.equal(summary.expired, 1);
+    assert.equal((await redemptionOf(res.body.orderId)).status, 'released');
+    assert.equal((await findCoupon('UNICO')).redeemedCount, 0);
+    assert.equal(await productStock('vitafer-l-500ml'), 10);
+  });
+});
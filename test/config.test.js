@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, ConfigError } = require('../config');
+
+describe('Configuración (loadConfig)', () => {
+  const requiredEnv = {
+    MONGO_URI: 'mongodb://localhost:27017',
+    MERCADOPAGO_ACCESS_TOKEN: 'TEST-token',
+    MERCADOPAGO_WEBHOOK_SECRET: 'secreto',
+    FRONTEND_URL: 'http://localhost:5173',
+    BACKEND_URL: 'http://localhost:3000',
+    JWT_SECRET: 'jwt-secret'
+  };
+
+  it('usa los valores por omisión de expiración, correo, referidos y alertas de stock', () => {
+    const config = loadConfig(requiredEnv);
+
+    assert.deepEqual(config.orderExpiry, { reservationTtlMinutes: 60, sweepIntervalMinutes: 5 });
+    assert.deepEqual(config.email, { from: 'Vitafer México <no-reply@vitafermex.com>', outboxIntervalSeconds: 30 });
+    assert.deepEqual(config.referrals, { defaultCommissionRate: 0.05, invalidReferralPolicy: 'ignore' });
+    assert.deepEqual(config.stockAlerts, { defaultThreshold: 5, recipients: [] });
+  });
+
+  it('lee los valores de las variables de entorno', () => {
+    const config = loadConfig({
+      ...requiredEnv,
+      ORDER_RESERVATION_TTL_MINUTES: '30',
+      ORDER_EXPIRY_SWEEP_INTERVAL_MINUTES: '2',
+      EMAIL_FROM: 'Tienda <tienda@example.com>',
+      EMAIL_OUTBOX_INTERVAL_SECONDS: '10',
+      DEFAULT_COMMISSION_RATE: '0',
+      INVALID_REFERRAL_POLICY: 'reject',
+      DEFAULT_LOW_STOCK_THRESHOLD: '0',
+      LOW_STOCK_ALERT_EMAILS: 'almacen@example.com, compras@example.com'
+    });
+
+    assert.deepEqual(config.orderExpiry, { reservationTtlMinutes: 30, sweepIntervalMinutes: 2 });
+    assert.deepEqual(config.email, { from: 'Tienda <tienda@example.com>', outboxIntervalSeconds: 10 });
+    assert.deepEqual(config.referrals, { defaultCommissionRate: 0, invalidReferralPolicy: 'reject' });
+    assert.deepEqual(config.stockAlerts, { defaultThreshold: 0, recipients: ['almacen@example.com', 'compras@example.com'] });
+  });
+
+  it('rechaza valores inválidos en lugar de usar el default en silencio', () => {
+    const invalid = [
+      { ORDER_RESERVATION_TTL_MINUTES: '0' },
+      { ORDER_EXPIRY_SWEEP_INTERVAL_MINUTES: 'cinco' },
+      { EMAIL_OUTBOX_INTERVAL_SECONDS: '1.5' },
+      { DEFAULT_COMMISSION_RATE: '5' },
+      { INVALID_REFERRAL_POLICY: 'rechazar' },
+      { DEFAULT_LOW_STOCK_THRESHOLD: '-1' }
+    ];
+    for (const env of invalid) {
+      assert.throws(() => loadConfig({ ...requiredEnv, ...env }), ConfigError, JSON.stringify(env));
+    }
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { ObjectId } = require('mongodb');
+const { startTestEnvironment, createBackOfficeUser, login, checkout, createPaidOrder } = require('./helpers');
+
+describe('Despacho de órdenes', () => {
+  let env;
+  let token;
+
+  before(async () => {
+    env = await startTestEnvironment();
+  });
+  after(async () => {
+    await env?.stop();
+  });
+  beforeEach(async () => {
+    await env.reset();
+    const dispatcher = await createBackOfficeUser(env.db, { username: 'despacho', role: 'dispatcher' });
+    token = await login(env.app, dispatcher);
+  });
+
+  const findOrder = (orderId) => env.db.collection('orders').findOne({ _id: new ObjectId(orderId) });
+  const asDispatcher = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  it('exige sesión y un rol de back office', async () => {
+    const orderId = await createPaidOrder(env);
+    const employee = await createBackOfficeUser(env.db, { username: 'vendedora', role: 'employee', employeeId: new ObjectId() });
+    const employeeToken = await login(env.app, employee);
+
+    const anonymous = await request(env.app).put(`/api/dispatcher/order/${orderId}/dispatch`).send({ trackingNumber: 'EST-1' });
+    const forbidden = await request(env.app)
+      .put(`/api/dispatcher/order/${orderId}/dispatch`)
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .send({ trackingNumber: 'EST-1' });
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(forbidden.status, 403);
+    assert.equal((await findOrder(orderId)).status, 'paid');
+  });
+
+  it('prepara y despacha una orden pagada con su guía, avisa al cliente y lo deja en la bitácora', async () => {
+    const orderId = await createPaidOrder(env);
+
+    const prepared = await asDispatcher(request(env.app).put(`/api/dispatcher/order/${orderId}/prepare`)).send({});
+    assert.equal(prepared.status, 200);
+    assert.equal((await findOrder(orderId)).status, 'preparing');
+
+    const dispatched = await asDispatcher(request(env.app).put(`/api/dispatcher/order/${orderId}/dispatch`)).send({ trackingNumber: 'EST-123' });
+    assert.equal(dispatched.status, 200);
+
+    const order = await findOrder(orderId);
+    assert.equal(order.status, 'shipped');
+    assert.ok(order.shippedAt instanceof Date);
+    assert.equal(order.shippingDetails.trackingNumber, 'EST-123');
+    assert.equal(order.shippingDetails.carrier, 'Estafeta'); // La del método de envío elegido en el checkout
+    assert.equal(order.statusHistory.at(-1).by, 'despacho');
+
+    const shippedEmail = await env.db.collection('email_outbox').findOne({ orderId: order._id, template: 'order_shipped' });
+    assert.ok(shippedEmail);
+    assert.match(shippedEmail.text, /EST-123/);
+
+    const auditEntry = await env.db.collection('audit_log').findOne({ action: 'order.dispatched', 'target.id': orderId });
+    assert.equal(auditEntry.actor, 'despacho');
+    assert.equal(auditEntry.details.trackingNumber, 'EST-123');
+  });
+
+  it('no despacha una orden que no se ha pagado', async () => {
+    const res = await checkout(env.app);
+
+    const dispatched = await asDispatcher(request(env.app).put(`/api/dispatcher/order/${res.body.orderId}/dispatch`)).send({ trackingNumber: 'EST-1' });
+
+    assert.equal(dispatched.status, 400);
+    assert.equal((await findOrder(res.body.orderId)).status, 'pending_payment');
+  });
+
+  it('revierte un despacho y conserva la guía anterior en el historial', async () => {
+    const orderId = await createPaidOrder(env);
+    await asDispatcher(request(env.app).put(`/api/dispatcher/order/${orderId}/dispatch`)).send({ trackingNumber: 'EST-9' });
+
+    const res = await asDispatcher(request(env.app).put(`/api/dispatcher/order/${orderId}/unship`)).send({ reason: 'Guía equivocada' });
+
+    assert.equal(res.status, 200);
+    const order = await findOrder(orderId);
+    assert.equal(order.status, 'paid');
+    assert.equal(order.shippedAt, null);
+    assert.equal(order.shippingDetails.trackingNumber, null);
+    assert.equal(order.statusHistory.at(-1).details.trackingNumber, 'EST-9');
+  });
+
+  it('despacha en lote e informa el resultado de cada orden', async () => {
+    const first = await createPaidOrder(env);
+    const second = await createPaidOrder(env, { items: [{ id: 'vitafer-capsulas', quantity: 1 }] });
+    const pending = (await checkout(env.app)).body.orderId;
+
+    const res = await asDispatcher(request(env.app).post('/api/dispatcher/orders/dispatch')).send({
+      orders: [
+        { orderId: first, trackingNumber: 'EST-1' },
+        { orderId: second, trackingNumber: 'DHL-2', carrier: 'DHL' },
+        { orderId: pending, trackingNumber: 'EST-3' },
+        { orderId: 'no-es-un-id', trackingNumber: 'EST-4' }
+      ]
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dispatched, 2);
+    assert.equal(res.body.failed, 2);
+    assert.deepEqual(res.body.results.map(result => result.dispatched), [true, true, false, false]);
+    assert.equal((await findOrder(second)).shippingDetails.carrier, 'DHL');
+    assert.equal((await findOrder(pending)).status, 'pending_payment');
+  });
+});
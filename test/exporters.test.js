@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { toCsv, toXlsx } = require('../utils/exporters');
+
+describe('Exportaciones CSV/XLSX', () => {
+  const columns = [
+    { key: 'customerName', header: 'Cliente' },
+    { key: 'street', header: 'Calle' },
+    { key: 'total', header: 'Total', type: 'money' },
+    { key: 'units', header: 'Unidades', type: 'number' }
+  ];
+  const rows = [
+    { customerName: '=HYPERLINK("http://malo.example","clic")', street: '@SUM(A1)', total: -12.5, units: -1 },
+    { customerName: '+5215512345678', street: '\tCalle con tabulador', total: 100, units: 2 },
+    { customerName: '-2+3', street: '\rRetorno', total: 0, units: 0 },
+    { customerName: 'María López', street: 'Av. Reforma 100', total: 850, units: 3 }
+  ];
+
+  it('antepone un apóstrofo a los textos que una hoja de cálculo tomaría como fórmula (CSV)', () => {
+    const [, ...lines] = toCsv(columns, rows).replace('\uFEFF', '').split('\r\n');
+
+    assert.equal(lines[0], `"'=HYPERLINK(""http://malo.example"",""clic"")",'@SUM(A1),-12.50,-1`);
+    assert.equal(lines[1], "'+5215512345678,'\tCalle con tabulador,100.00,2");
+    assert.equal(lines[2], `'-2+3,"'\rRetorno",0.00,0`);
+    assert.equal(lines[3], 'María López,Av. Reforma 100,850.00,3');
+  });
+
+  it('antepone un apóstrofo a los mismos textos en XLSX y deja los números como números', async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await toXlsx('Reporte', columns, rows));
+    const sheet = workbook.getWorksheet('Reporte');
+
+    assert.equal(sheet.getCell('A2').value, `'=HYPERLINK("http://malo.example","clic")`);
+    assert.equal(sheet.getCell('B2').value, "'@SUM(A1)");
+    assert.equal(sheet.getCell('C2').value, -12.5);
+    assert.equal(sheet.getCell('D2').value, -1);
+    assert.equal(sheet.getCell('A3').value, "'+5215512345678");
+    assert.equal(sheet.getCell('A4').value, "'-2+3");
+    assert.equal(sheet.getCell('A5').value, 'María López');
+  });
+});
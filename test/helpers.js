@@ -0,0 +1,208 @@
+// --- Entorno para las pruebas de integración ---
+// MongoDB en memoria como replica set (el checkout y el webhook usan transacciones), un doble de
+// MercadoPago y la app creada con createApp, igual que en server.js pero sin escuchar en un puerto.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const { MongoClient, ObjectId } = require('mongodb');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const { createApp, ensureIndexes } = require('../app');
+const { loadConfig } = require('../config');
+
+const WEBHOOK_SECRET = 'webhook-secret-de-pruebas';
+// La misma forma que en producción; la conexión a MongoDB y los clientes de MercadoPago se inyectan aparte
+const TEST_CONFIG = loadConfig({
+  MONGO_URI: 'mongodb://no-se-usa',
+  MERCADOPAGO_ACCESS_TOKEN: 'TEST-no-se-usa',
+  MERCADOPAGO_WEBHOOK_SECRET: WEBHOOK_SECRET,
+  FRONTEND_URL: 'http://localhost:5173',
+  BACKEND_URL: 'http://localhost:3000',
+  JWT_SECRET: 'jwt-secret-de-pruebas',
+  CORS_ALLOWED_ORIGINS: 'http://localhost:5173'
+});
+
+const PRODUCTS = [
+  { productId: 'vitafer-l-500ml', name: 'Vitafer-L', presentation: 'Botella 500 ml', price: 350, stock: 10, weightKg: 0.6 },
+  { productId: 'vitafer-capsulas', name: 'Vitafer Cápsulas', presentation: 'Frasco 60 cápsulas', price: 420.5, stock: 5, weightKg: 0.2 }
+];
+
+const SHIPPING_METHOD = {
+  methodId: 'estandar',
+  name: 'Envío estándar',
+  carrier: 'Estafeta',
+  active: true,
+  tierBasis: 'quantity',
+  freeShippingThreshold: 2000,
+  estimatedDays: { min: 3, max: 5 },
+  zones: [{ name: 'Nacional', states: [], postalCodePrefixes: [], tiers: [{ upTo: null, cost: 150 }] }]
+};
+
+const CUSTOMER = {
+  name: 'María López',
+  email: 'maria@example.com',
+  phone: '5512345678',
+  address: { street: 'Av. Reforma', exteriorNumber: '100', neighborhood: 'Juárez', city: 'Ciudad de México', state: 'CDMX', postalCode: '06600' }
+};
+
+// Doble de MercadoPago con la misma forma que los clientes del SDK que usa la app.
+// Guarda las preferencias y reembolsos creados; los pagos se definen en cada prueba con setPayment.
+// failNextPreference / failNextRefund: error que lanzará la siguiente llamada, para simular una caída de MercadoPago.
+function createFakeMercadoPago() {
+  const fake = {
+    preferences: [],
+    payments: new Map(),
+    refunds: [],
+    failNextPreference: null,
+    failNextRefund: null,
+    setPayment(paymentData) {
+      fake.payments.set(String(paymentData.id), paymentData);
+    },
+    reset() {
+      fake.preferences.length = 0;
+      fake.payments.clear();
+      fake.refunds.length = 0;
+      fake.failNextPreference = null;
+      fake.failNextRefund = null;
+    },
+    preference: {
+      create: async ({ body }) => {
+        if (fake.failNextPreference) {
+          const error = fake.failNextPreference;
+          fake.failNextPreference = null;
+          throw error;
+        }
+        const id = `pref-${fake.preferences.length + 1}`;
+        fake.preferences.push({ id, body });
+        return { id, init_point: `https://mercadopago.test/checkout/${id}` };
+      }
+    },
+    payment: {
+      get: async ({ id }) => {
+        const paymentData = fake.payments.get(String(id));
+        if (!paymentData) throw new Error(`Pago ${id} no encontrado`);
+        return paymentData;
+      },
+      search: async ({ options }) => ({
+        results: [...fake.payments.values()].filter(paymentData => paymentData.external_reference === options.external_reference)
+      })
+    },
+    paymentRefund: {
+      create: async ({ payment_id: paymentId, body }) => {
+        if (fake.failNextRefund) {
+          const error = fake.failNextRefund;
+          fake.failNextRefund = null;
+          throw error;
+        }
+        const refund = { id: 9000 + fake.refunds.length + 1, payment_id: paymentId, amount: body?.amount ?? null, status: 'approved' };
+        fake.refunds.push(refund);
+        return refund;
+      }
+    }
+  };
+  return fake;
+}
+
+async function startTestEnvironment() {
+  const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  const mongoClient = new MongoClient(replSet.getUri());
+  await mongoClient.connect();
+  const db = mongoClient.db('vitafer_test');
+  await ensureIndexes(db);
+  const mercadoPago = createFakeMercadoPago();
+  const app = createApp({ db, mongoClient, mercadoPago, config: TEST_CONFIG });
+
+  return {
+    app,
+    db,
+    mongoClient,
+    mercadoPago,
+    // Vacía las colecciones (conserva los índices) y vuelve a cargar el catálogo base
+    async reset() {
+      const collections = await db.collections();
+      await Promise.all(collections.map(collection => collection.deleteMany({})));
+      mercadoPago.reset();
+      await seedCatalog(db);
+    },
+    async stop() {
+      await mongoClient.close();
+      await replSet.stop();
+    }
+  };
+}
+
+async function seedCatalog(db) {
+  const now = new Date();
+  await db.collection('products').insertMany(PRODUCTS.map(product => ({ ...product, active: true, createdAt: now, updatedAt: now })));
+  await db.collection('shipping_methods').insertOne({ ...SHIPPING_METHOD, createdAt: now, updatedAt: now });
+}
+
+async function createBackOfficeUser(db, { username, role, password = 'contrasena-segura', ...extra }) {
+  await db.collection('dispatchers').insertOne({
+    username,
+    role,
+    password: await bcrypt.hash(password, 4),
+    active: true,
+    createdAt: new Date(),
+    ...extra
+  });
+  return { username, password };
+}
+
+async function login(app, { username, password }) {
+  const res = await request(app).post('/api/auth/dispatcher/login').send({ username, password });
+  if (res.status !== 200) throw new Error(`Login de ${username} falló: ${res.status} ${JSON.stringify(res.body)}`);
+  return res.body.accessToken;
+}
+
+const checkoutBody = (overrides = {}) => ({
+  items: [{ id: 'vitafer-l-500ml', quantity: 2 }],
+  customerDetails: CUSTOMER,
+  shippingMethodId: SHIPPING_METHOD.methodId,
+  ...overrides
+});
+
+const checkout = (app, overrides) => request(app).post('/api/create-preference').send(checkoutBody(overrides));
+
+// Cabeceras x-signature / x-request-id firmadas como lo hace MercadoPago
+function webhookHeaders(dataId, { secret = WEBHOOK_SECRET, ts = Date.now().toString() } = {}) {
+  const requestId = crypto.randomUUID();
+  const manifest = `id:${String(dataId).toLowerCase()};request-id:${requestId};ts:${ts};`;
+  const v1 = crypto.createHmac('sha256', secret).update(manifest).digest('hex');
+  return { 'x-request-id': requestId, 'x-signature': `ts=${ts},v1=${v1}` };
+}
+
+function sendPaymentWebhook(app, paymentId, { headers = webhookHeaders(paymentId) } = {}) {
+  return request(app)
+    .post(`/api/mercadopago-webhook?data.id=${paymentId}&type=payment`)
+    .set(headers)
+    .send({ type: 'payment', action: 'payment.updated', data: { id: String(paymentId) } });
+}
+
+let nextPaymentId = 1000;
+
+// Checkout completo + aviso de pago aprobado; devuelve el id de la orden ya en 'paid'
+async function createPaidOrder(env, { paymentId, ...overrides } = {}) {
+  const res = await checkout(env.app, overrides);
+  if (res.status !== 201) throw new Error(`Checkout falló: ${res.status} ${JSON.stringify(res.body)}`);
+  const order = await env.db.collection('orders').findOne({ _id: new ObjectId(res.body.orderId) });
+  const id = paymentId || nextPaymentId++;
+  env.mercadoPago.setPayment({ id, status: 'approved', external_reference: res.body.orderId, transaction_amount: order.totalAmount });
+  const webhook = await sendPaymentWebhook(env.app, id);
+  if (webhook.status !== 200) throw new Error(`Webhook de pago falló: ${webhook.status}`);
+  return res.body.orderId;
+}
+
+module.exports = {
+  WEBHOOK_SECRET,
+  TEST_CONFIG,
+  PRODUCTS,
+  SHIPPING_METHOD,
+  CUSTOMER,
+  startTestEnvironment,
+  createBackOfficeUser,
+  login,
+  checkout,
+  webhookHeaders,
+  sendPaymentWebhook,
+  createPaidOrder
+};
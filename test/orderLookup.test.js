@@ -0,0 +1,78 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startTestEnvironment, CUSTOMER, checkout } = require('./helpers');
+
+describe('Consulta de órdenes por código al correo (/api/orders/lookup)', () => {
+  let env;
+
+  before(async () => {
+    env = await startTestEnvironment();
+  });
+  after(async () => {
+    await env?.stop();
+  });
+  beforeEach(async () => {
+    await env.reset();
+  });
+
+  const requestCode = (email) => request(env.app).post('/api/orders/lookup/request-code').send({ email });
+  const verify = (email, code) => request(env.app).post('/api/orders/lookup/verify').send({ email, code });
+  const codeEmails = () => env.db.collection('email_outbox').find({ template: 'order_lookup_code' }).sort({ createdAt: 1 }).toArray();
+  const lastCode = async () => (await codeEmails()).at(-1).text.match(/\b\d{6}\b/)[0];
+  const wrongCodeFor = (code) => (code === '000000' ? '111111' : '000000');
+
+  it('envía el código solo a correos con órdenes y respeta el intervalo entre reenvíos', async () => {
+    assert.equal((await checkout(env.app)).status, 201);
+
+    const unknown = await requestCode('nadie@example.com');
+    const first = await requestCode(`  ${CUSTOMER.email.toUpperCase()} `);
+    assert.equal(unknown.status, 200);
+    assert.equal(first.status, 200);
+    assert.equal(unknown.body.message, first.body.message); // No revela qué correos tienen órdenes
+    assert.equal((await codeEmails()).length, 1);
+
+    // Dentro del intervalo de reenvío no se genera otro código
+    assert.equal((await requestCode(CUSTOMER.email)).status, 200);
+    assert.equal((await codeEmails()).length, 1);
+
+    await env.db.collection('order_lookup_codes').updateOne(
+      { email: CUSTOMER.email },
+      { $set: { createdAt: new Date(Date.now() - 61 * 1000) } }
+    );
+    assert.equal((await requestCode(CUSTOMER.email)).status, 200);
+    assert.equal((await codeEmails()).length, 2);
+    assert.equal(await env.db.collection('order_lookup_codes').countDocuments(), 1); // El código anterior deja de valer
+  });
+
+  it('con el código correcto devuelve las órdenes con su token, y el código no se puede reutilizar', async () => {
+    const created = await checkout(env.app);
+    assert.equal(created.status, 201);
+    await requestCode(CUSTOMER.email);
+    const code = await lastCode();
+
+    assert.equal((await verify(CUSTOMER.email, wrongCodeFor(code))).status, 401);
+    const res = await verify(CUSTOMER.email, code);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.orders.length, 1);
+    assert.equal(res.body.orders[0].orderId, created.body.orderId);
+    assert.equal(res.body.orders[0].status, 'pending_payment');
+    assert.ok(res.body.orders[0].lookupToken);
+    assert.equal(res.body.orders[0].customerDetails, undefined);
+
+    assert.equal((await verify(CUSTOMER.email, code)).status, 401);
+  });
+
+  it('invalida el código tras 5 intentos fallidos', async () => {
+    assert.equal((await checkout(env.app)).status, 201);
+    await requestCode(CUSTOMER.email);
+    const code = await lastCode();
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      assert.equal((await verify(CUSTOMER.email, wrongCodeFor(code))).status, 401);
+    }
+
+    assert.equal((await verify(CUSTOMER.email, code)).status, 401);
+  });
+});
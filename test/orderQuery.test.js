@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId, BSON } = require('mongodb');
+const { OrderQueryError, buildOrdersQuery, paginate } = require('../services/orderQueryService');
+
+describe('Listado de órdenes: cursor de paginación', () => {
+  const cursorFor = (payload) => Buffer.from(BSON.EJSON.stringify(payload)).toString('base64url');
+
+  it('acepta el cursor que genera la página anterior', async () => {
+    const orders = [
+      { _id: new ObjectId(), createdAt: new Date('2025-06-02T10:00:00Z') },
+      { _id: new ObjectId(), createdAt: new Date('2025-06-01T10:00:00Z') }
+    ];
+    const { nextCursor } = paginate(orders, { limit: 1, sortField: 'createdAt' });
+
+    const { match } = await buildOrdersQuery(null, { cursor: nextCursor });
+
+    assert.deepEqual(match.$and[0].$or[0], { createdAt: { $lt: orders[0].createdAt } });
+  });
+
+  it('acepta valores escalares y null en el cursor', async () => {
+    for (const v of ['María', 850, null]) {
+      await assert.doesNotReject(buildOrdersQuery(null, { cursor: cursorFor({ v, id: new ObjectId() }), sort: 'totalAmount' }));
+    }
+  });
+
+  it('rechaza un cursor cuyo valor es un objeto (inyección de operadores)', async () => {
+    for (const v of [{ $ne: null }, { $gt: '' }, ['a'], new ObjectId()]) {
+      await assert.rejects(
+        buildOrdersQuery(null, { cursor: cursorFor({ v, id: new ObjectId() }) }),
+        (error) => error instanceof OrderQueryError && error.status === 400
+      );
+    }
+  });
+
+  it('rechaza un cursor que no es EJSON válido o no trae _id', async () => {
+    await assert.rejects(buildOrdersQuery(null, { cursor: 'no-es-un-cursor' }), OrderQueryError);
+    await assert.rejects(buildOrdersQuery(null, { cursor: cursorFor({ v: 1 }) }), OrderQueryError);
+  });
+});
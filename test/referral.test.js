@@ -0,0 +1,70 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { ObjectId } = require('mongodb');
+const { startTestEnvironment, createBackOfficeUser, login, createPaidOrder } = require('./helpers');
+
+describe('Comisiones por referido', () => {
+  let env;
+  let token;
+  let employeeId;
+
+  before(async () => {
+    env = await startTestEnvironment();
+  });
+  after(async () => {
+    await env?.stop();
+  });
+  beforeEach(async () => {
+    await env.reset();
+    const admin = await createBackOfficeUser(env.db, { username: 'admin', role: 'admin' });
+    token = await login(env.app, admin);
+    ({ insertedId: employeeId } = await env.db.collection('employees').insertOne({
+      name: 'Ana Torres', referralCode: 'ANA10', commissionRate: 0.1, active: true, createdAt: new Date()
+    }));
+  });
+
+  const asAdmin = (req) => req.set('Authorization', `Bearer ${token}`);
+  const commissionsOf = (orderId) => env.db.collection('commissions')
+    .find({ orderId: new ObjectId(orderId) }).sort({ createdAt: 1 }).toArray();
+  const refund = (orderId, body) => asAdmin(request(env.app).post(`/api/dispatcher/order/${orderId}/refund`)).send(body);
+
+  it('acumula la comisión de una orden pagada sobre los productos, sin el envío', async () => {
+    // 2 × 350 de productos + 150 de envío
+    const orderId = await createPaidOrder(env, { referralCode: 'ANA10' });
+
+    const [accrual, ...rest] = await commissionsOf(orderId);
+    assert.equal(rest.length, 0);
+    assert.equal(accrual.type, 'accrual');
+    assert.deepEqual(accrual.employeeId, employeeId);
+    assert.equal(accrual.baseAmount, 700);
+    assert.equal(accrual.amount, 70);
+  });
+
+  it('revierte en proporción a la base de la comisión y por completo al reembolsar el resto', async () => {
+    const orderId = await createPaidOrder(env, { referralCode: 'ANA10' });
+
+    const partial = await refund(orderId, { amount: 350, restockItems: [{ productId: 'vitafer-l-500ml', quantity: 1 }], reason: 'Una botella llegó dañada' });
+    assert.equal(partial.status, 201);
+    const [, reversal] = await commissionsOf(orderId);
+    assert.equal(reversal.type, 'reversal');
+    assert.equal(reversal.baseAmount, -350);
+    assert.equal(reversal.amount, -35); // la mitad de la base, no 350/850 del total con envío
+
+    const rest = await refund(orderId, { reason: 'El cliente devolvió el resto' });
+    assert.equal(rest.status, 201);
+    const entries = await commissionsOf(orderId);
+    assert.equal(entries.length, 3);
+    assert.equal(entries.reduce((sum, entry) => sum + entry.amount, 0), 0);
+    assert.equal(entries.reduce((sum, entry) => sum + entry.baseAmount, 0), 0);
+
+    const report = await asAdmin(request(env.app).get('/api/admin/referrals/report'));
+    assert.equal(report.status, 200);
+    assert.equal(report.body.length, 1);
+    assert.equal(report.body[0].referralCode, 'ANA10');
+    assert.equal(report.body[0].orders, 1);
+    assert.equal(report.body[0].accruedCommission, 70);
+    assert.equal(report.body[0].reversedCommission, -70);
+    assert.equal(report.body[0].salesAmount, 0);
+  });
+});
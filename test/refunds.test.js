@@ -0,0 +1,151 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { ObjectId } = require('mongodb');
+const { startTestEnvironment, createBackOfficeUser, login, checkout, createPaidOrder, sendPaymentWebhook } = require('./helpers');
+
+describe('Reembolsos y cancelaciones desde el back office', () => {
+  let env;
+  let token;
+
+  before(async () => {
+    env = await startTestEnvironment();
+  });
+  after(async () => {
+    await env?.stop();
+  });
+  beforeEach(async () => {
+    await env.reset();
+    const admin = await createBackOfficeUser(env.db, { username: 'admin', role: 'admin' });
+    token = await login(env.app, admin);
+  });
+
+  const PRODUCT_ID = 'vitafer-l-500ml'; // Stock inicial 10; la orden de prueba lleva 2 (350 c/u) + 150 de envío
+  const findOrder = (orderId) => env.db.collection('orders').findOne({ _id: new ObjectId(orderId) });
+  const stockOf = async (productId) => (await env.db.collection('products').findOne({ productId })).stock;
+  const asAdmin = (req) => req.set('Authorization', `Bearer ${token}`);
+  const refund = (orderId, body = {}) => asAdmin(request(env.app).post(`/api/dispatcher/order/${orderId}/refund`)).send(body);
+  const cancel = (orderId, body = {}) => asAdmin(request(env.app).post(`/api/dispatcher/order/${orderId}/cancel`)).send(body);
+
+  it('un reembolso total pide a MercadoPago el pago completo, marca la orden y repone lo indicado', async () => {
+    const orderId = await createPaidOrder(env);
+    assert.equal(await stockOf(PRODUCT_ID), 8);
+
+    const res = await refund(orderId, { restockItems: [{ productId: PRODUCT_ID, quantity: 2 }], reason: 'Cliente se arrepintió' });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.refund.amount, 850);
+    assert.deepEqual(env.mercadoPago.refunds.map(({ amount }) => amount), [null]); // Sin monto: reembolso completo
+    const order = await findOrder(orderId);
+    assert.equal(order.status, 'refunded');
+    assert.equal(order.refundedAmount, 850);
+    assert.equal(order.pendingRefund, undefined);
+    assert.equal(order.items[0].restockedQuantity, 2);
+    assert.equal(await stockOf(PRODUCT_ID), 10);
+  });
+
+  it('un reembolso parcial deja la orden pagada y repone solo las unidades elegidas', async () => {
+    const orderId = await createPaidOrder(env);
+
+    const res = await refund(orderId, { amount: 350, restockItems: [{ productId: PRODUCT_ID, quantity: 1 }] });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.message, 'Reembolso parcial registrado');
+    assert.deepEqual(env.mercadoPago.refunds.map(({ amount }) => amount), [350]);
+    const order = await findOrder(orderId);
+    assert.equal(order.status, 'paid');
+    assert.equal(order.refundedAmount, 350);
+    assert.equal(order.items[0].restockedQuantity, 1);
+    assert.equal(await stockOf(PRODUCT_ID), 9);
+
+    const excess = await refund(orderId, { amount: 600 });
+    assert.equal(excess.status, 400); // Solo quedan 500 reembolsables
+    assert.equal(env.mercadoPago.refunds.length, 1);
+  });
+
+  it('no repone dos veces la misma unidad entre reembolsos del back office y avisos de MercadoPago', async () => {
+    const paymentId = 7001;
+    const orderId = await createPaidOrder(env, { paymentId });
+    assert.equal((await refund(orderId, { amount: 350, restockItems: [{ productId: PRODUCT_ID, quantity: 1 }] })).status, 201);
+    const [backOfficeRefund] = env.mercadoPago.refunds;
+
+    // Pedir reponer más de lo que queda sin reponer se rechaza antes de llamar a MercadoPago
+    const overRestock = await refund(orderId, { amount: 100, restockItems: [{ productId: PRODUCT_ID, quantity: 2 }] });
+    assert.equal(overRestock.status, 400);
+    assert.equal(env.mercadoPago.refunds.length, 1);
+
+    // El resto se reembolsa desde el panel de MercadoPago: el aviso repone solo la unidad pendiente
+    env.mercadoPago.setPayment({
+      id: paymentId,
+      status: 'refunded',
+      external_reference: orderId,
+      transaction_amount: 850,
+      date_last_updated: new Date().toISOString(),
+      refunds: [{ id: backOfficeRefund.id, amount: 350 }, { id: 8801, amount: 500 }]
+    });
+    assert.equal((await sendPaymentWebhook(env.app, paymentId)).status, 200);
+
+    const order = await findOrder(orderId);
+    assert.equal(order.status, 'refunded');
+    assert.equal(order.refundedAmount, 850);
+    assert.deepEqual(order.refunds.map(({ refundId }) => refundId), [String(backOfficeRefund.id), '8801']);
+    assert.equal(order.items[0].restockedQuantity, 2);
+    assert.equal(await stockOf(PRODUCT_ID), 10);
+
+    // Ni otro reembolso ni el mismo aviso repetido vuelven a reponer
+    assert.equal((await refund(orderId, { restockItems: [{ productId: PRODUCT_ID, quantity: 1 }] })).status, 409);
+    assert.equal((await sendPaymentWebhook(env.app, paymentId)).status, 200);
+    assert.equal(await stockOf(PRODUCT_ID), 10);
+    const returned = await env.db.collection('inventory_movements').find({ orderId: new ObjectId(orderId), type: 'refund_return' }).toArray();
+    assert.equal(returned.reduce((sum, movement) => sum + movement.quantity, 0), 2);
+  });
+
+  it('si MercadoPago falla, retira la marca de reembolso en curso y permite reintentar', async () => {
+    const orderId = await createPaidOrder(env);
+    env.mercadoPago.failNextRefund = new Error('MercadoPago no disponible');
+
+    const failed = await refund(orderId, { amount: 350, restockItems: [{ productId: PRODUCT_ID, quantity: 1 }] });
+
+    assert.equal(failed.status, 500);
+    let order = await findOrder(orderId);
+    assert.equal(order.pendingRefund, undefined);
+    assert.ok(!order.refundedAmount);
+    assert.deepEqual(order.refunds || [], []);
+    assert.equal(order.status, 'paid');
+    assert.equal(await stockOf(PRODUCT_ID), 8);
+
+    const retry = await refund(orderId, { amount: 350, restockItems: [{ productId: PRODUCT_ID, quantity: 1 }] });
+    assert.equal(retry.status, 201);
+    order = await findOrder(orderId);
+    assert.equal(order.refundedAmount, 350);
+    assert.equal(await stockOf(PRODUCT_ID), 9);
+  });
+
+  it('cancelar una orden pagada reembolsa el total y repone todo su stock', async () => {
+    const orderId = await createPaidOrder(env);
+
+    const res = await cancel(orderId, { reason: 'Dirección fuera de cobertura' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.refund.amount, 850);
+    const order = await findOrder(orderId);
+    assert.equal(order.status, 'cancelled');
+    assert.equal(order.cancellation.reason, 'Dirección fuera de cobertura');
+    assert.equal(order.refundedAmount, 850);
+    assert.equal(await stockOf(PRODUCT_ID), 10);
+  });
+
+  it('cancelar una orden pendiente libera la reserva sin reembolsar', async () => {
+    const created = await checkout(env.app);
+    assert.equal(created.status, 201);
+    assert.equal(await stockOf(PRODUCT_ID), 8);
+
+    const res = await cancel(created.body.orderId);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.refund, null);
+    assert.equal(env.mercadoPago.refunds.length, 0);
+    assert.equal((await findOrder(created.body.orderId)).status, 'cancelled');
+    assert.equal(await stockOf(PRODUCT_ID), 10);
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startTestEnvironment, checkout, webhookHeaders, sendPaymentWebhook } = require('./helpers');
+
+describe('Webhook de MercadoPago (/api/mercadopago-webhook)', () => {
+  let env;
+
+  before(async () => {
+    env = await startTestEnvironment();
+  });
+  after(async () => {
+    await env?.stop();
+  });
+  beforeEach(async () => {
+    await env.reset();
+  });
+
+  // Orden recién creada en 'pending_payment' con un pago de MercadoPago en el estado indicado
+  const orderWithPayment = async (paymentId, status) => {
+    const res = await checkout(env.app);
+    assert.equal(res.status, 201);
+    env.mercadoPago.setPayment({ id: paymentId, status, external_reference: res.body.orderId, transaction_amount: 850 });
+    return new ObjectId(res.body.orderId);
+  };
+  const findOrder = (orderId) => env.db.collection('orders').findOne({ _id: orderId });
+
+  it('rechaza notificaciones con firma inválida sin tocar la orden', async () => {
+    const orderId = await orderWithPayment(501, 'approved');
+
+    const res = await sendPaymentWebhook(env.app, 501, { headers: webhookHeaders(501, { secret: 'otra-clave' }) });
+
+    assert.equal(res.status, 401);
+    assert.equal((await findOrder(orderId)).status, 'pending_payment');
+    assert.equal(await env.db.collection('webhook_events').countDocuments(), 0);
+  });
+
+  it('rechaza una firma válida cuyo ts quedó fuera de la ventana de tolerancia', async () => {
+    const orderId = await orderWithPayment(507, 'approved');
+    const staleTs = (Date.now() - 10 * 60 * 1000).toString();
+
+    const res = await sendPaymentWebhook(env.app, 507, { headers: webhookHeaders(507, { ts: staleTs }) });
+
+    assert.equal(res.status, 401);
+    assert.equal((await findOrder(orderId)).status, 'pending_payment');
+    assert.equal(await env.db.collection('webhook_events').countDocuments(), 0);
+  });
+
+  it('un pago aprobado marca la orden como pagada y encola la confirmación', async () => {
+    const orderId = await orderWithPayment(502, 'approved');
+
+    const res = await sendPaymentWebhook(env.app, 502);
+
+    assert.equal(res.status, 200);
+    const order = await findOrder(orderId);
+    assert.equal(order.status, 'paid');
+    assert.equal(order.paymentDetails.mercadoPagoPaymentId, '502');
+    assert.equal(order.paymentDetails.paymentStatus, 'approved');
+    assert.deepEqual(order.statusHistory.map(entry => entry.to), ['pending_payment', 'paid']);
+
+    const event = await env.db.collection('webhook_events').findOne({ paymentId: '502' });
+    assert.equal(event.status, 'processed');
+    assert.equal(event.outcome, 'order_paid');
+    const emails = await env.db.collection('email_outbox').find({ orderId }).toArray();
+    assert.deepEqual(emails.map(email => [email.template, email.to]), [['order_paid', 'maria@example.com']]);
+  });
+
+  it('procesa una sola vez las notificaciones repetidas del mismo pago', async () => {
+    const orderId = await orderWithPayment(503, 'approved');
+
+    assert.equal((await sendPaymentWebhook(env.app, 503)).status, 200);
+    assert.equal((await sendPaymentWebhook(env.app, 503)).status, 200);
+
+    const events = await env.db.collection('webhook_events').find({ paymentId: '503' }).toArray();
+    assert.equal(events.length, 1);
+    assert.equal(events[0].deliveryCount, 2);
+    assert.equal(await env.db.collection('email_outbox').countDocuments({ orderId, template: 'order_paid' }), 1);
+    assert.equal((await findOrder(orderId)).statusHistory.filter(entry => entry.to === 'paid').length, 1);
+  });
+
+  it('un pago rechazado marca la orden como fallida y libera el stock reservado', async () => {
+    const orderId = await orderWithPayment(504, 'rejected');
+    assert.equal((await env.db.collection('products').findOne({ productId: 'vitafer-l-500ml' })).stock, 8);
+
+    const res = await sendPaymentWebhook(env.app, 504);
+
+    assert.equal(res.status, 200);
+    assert.equal((await findOrder(orderId)).status, 'failed');
+    assert.equal((await env.db.collection('products').findOne({ productId: 'vitafer-l-500ml' })).stock, 10);
+    assert.equal(await env.db.collection('email_outbox').countDocuments({ orderId, template: 'payment_failed' }), 1);
+  });
+
+  it('deja el evento como fallido (y pide reintento) si no puede consultar el pago', async () => {
+    const res = await sendPaymentWebhook(env.app, 599);
+
+    assert.equal(res.status, 500);
+    const event = await env.db.collection('webhook_events').findOne({ paymentId: '599' });
+    assert.equal(event.status, 'failed');
+  });
+});
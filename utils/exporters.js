@@ -0,0 +1,82 @@
+const ExcelJS = require('exceljs');
+
+const EXPORT_TIMEZONE = 'America/Mexico_City';
+const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+// Fechas en hora de México: 'date' → 2025-06-01, 'datetime' → 2025-06-01 14:30
+const dateParts = (value) => Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+  timeZone: EXPORT_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+}).formatToParts(new Date(value)).map(({ type, value: part }) => [type, part]));
+
+// Un texto que empieza con =, +, -, @, tabulador o retorno de carro se ejecuta como fórmula al abrir el
+// archivo en Excel o Sheets. Nombres y domicilios los captura el cliente, así que se anteponen con '.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const neutralizeFormula = (text) => (FORMULA_PREFIX.test(text) ? `'${text}` : text);
+
+function formatValue(value, type) {
+  if (value === null || value === undefined || value === '') return '';
+  if (type === 'date' || type === 'datetime') {
+    const { year, month, day, hour, minute } = dateParts(value);
+    return type === 'date' ? `${year}-${month}-${day}` : `${year}-${month}-${day} ${hour}:${minute}`;
+  }
+  if (type === 'money' || type === 'decimal') return Number(value).toFixed(2);
+  if (type === 'percent') return `${(Number(value) * 100).toFixed(2)}%`;
+  return typeof value === 'string' ? neutralizeFormula(value) : String(value);
+}
+
+const escapeCsv = (value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+// columns: [{ key, header, type }]. El BOM hace que Excel abra el archivo como UTF-8 (acentos).
+function toCsv(columns, rows) {
+  const lines = [columns.map(column => escapeCsv(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCsv(formatValue(row[column.key], column.type))).join(','));
+  }
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+const XLSX_NUMBER_FORMATS = { money: '#,##0.00', decimal: '0.00', percent: '0.00%', number: '#,##0' };
+
+async function toXlsx(sheetName, columns, rows) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName.substring(0, 31));
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: Math.max(column.header.length + 2, column.type === 'datetime' ? 18 : 12),
+    style: XLSX_NUMBER_FORMATS[column.type] ? { numFmt: XLSX_NUMBER_FORMATS[column.type] } : {}
+  }));
+  for (const row of rows) {
+    sheet.addRow(Object.fromEntries(columns.map(column => {
+      const value = row[column.key];
+      const numeric = column.type in XLSX_NUMBER_FORMATS && value !== null && value !== undefined;
+      return [column.key, numeric ? Number(value) : formatValue(value, column.type)];
+    })));
+  }
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  return workbook.xlsx.writeBuffer();
+}
+
+// Responde JSON o un archivo descargable según ?format=json|csv|xlsx
+async function sendExport(res, { format = 'json', filename, sheetName, columns, rows, meta = {} }) {
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.status(200).send(toCsv(columns, rows));
+  }
+  if (format === 'xlsx') {
+    const buffer = await toXlsx(sheetName || filename, columns, rows);
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.set('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+    return res.status(200).send(Buffer.from(buffer));
+  }
+  return res.status(200).json({ ...meta, rows });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  toCsv,
+  toXlsx,
+  sendExport
+};
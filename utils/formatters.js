@@ -0,0 +1,20 @@
+const formatMXN = (value) => (typeof value === 'number' && !Number.isNaN(value)
+  ? value.toLocaleString('es-MX', { style: 'currency', currency: 'MXN', minimumFractionDigits: 2 })
+  : '$0.00');
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleString('es-MX', { timeZone: 'America/Mexico_City', dateStyle: 'long', timeStyle: 'short' })
+  : '');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+module.exports = {
+  formatMXN,
+  formatDate,
+  escapeHtml
+};
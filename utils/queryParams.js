@@ -0,0 +1,24 @@
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Convierte ?from=...&to=... en fechas. Con fecha sin hora, 'to' incluye todo ese día.
+// Devuelve { range: { from, to } } o { error } si alguna fecha no es válida.
+function parseDateRange({ from, to } = {}) {
+  const range = {};
+  if (from) {
+    const fromDate = new Date(from);
+    if (Number.isNaN(fromDate.getTime())) return { error: 'Fecha "from" inválida' };
+    range.from = fromDate;
+  }
+  if (to) {
+    const toDate = new Date(to);
+    if (Number.isNaN(toDate.getTime())) return { error: 'Fecha "to" inválida' };
+    if (DATE_ONLY.test(to)) toDate.setUTCDate(toDate.getUTCDate() + 1);
+    range.to = toDate;
+  }
+  if (range.from && range.to && range.from >= range.to) return { error: 'El rango de fechas es inválido' };
+  return { range };
+}
+
+module.exports = {
+  parseDateRange
+};